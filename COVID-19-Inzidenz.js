@@ -14,18 +14,21 @@
  * - Fully internationalised for German and English.
  * - Uses system display formats for numbers and dates.
  * - Caching of data for offline refresh cycles (with indicator of stale data).
+ * - Retrying of failed requests with exponential backoff.
  * - Data handling decoupled from widget building for adaptability.
  *
  * @author Martin Kopischke <martin@kopischke.net>
  * Source master repository on {@link https://github.com/kopischke/scriptable|GitHub}).
- * @version 1.1.6
+ * @version 1.2.0
  */
 const { Localization } = importModule('net.kopischke.i18n')
+const { retry } = importModule('net.kopischke.timer')
 const strings = {
   en: {
     headlineShort:'Incidence',
     headlineLong: 'COVID-19 Incidence',
-    updated: '%{date:date unknown}, %{time:time unknown}',
+    updated: '%{updated:date unknown|date:full}, %{updated:time unknown|time:short}',
+    updatedShort: '%{updated:date unknown|date:short}, %{updated:time unknown|time:short}',
     msgUnknownShort: '?',
     msgUnknownLong: 'unknown',
     msgCode: 'Code %{code:?}',
@@ -35,12 +38,13 @@ const strings = {
   de: {
     headlineShort: 'Inzidenz',
     headlineLong: 'COVID-19-Inzidenz',
-    updated: '%{date:Datum unbekannt}, %{time:Zeit unbekannt}',
+    updated: '%{updated:Datum unbekannt|date:full}, %{updated:Zeit unbekannt|time:short}',
+    updatedShort: '%{updated:Datum unbekannt|date:short}, %{updated:Zeit unbekannt|time:short}',
     msgUnknownShort: '?',
     msgUnknownLong: 'unbekannt',
     msgCode: 'PLZ %{code:?}',
     msgCodeError: 'Keine Postleitzahlen in der Eingabe gefunden.',
-    msgRequestError: 'Inzidenzdaten können nicht abgerufen werden.'
+    msgNoData: 'Inzidenzdaten können nicht abgerufen werden.'
   }
 }
 const l8n = new Localization(strings)
@@ -50,12 +54,14 @@ const l8n = new Localization(strings)
  * @property {boolean} debugLogging - Whether to log debugging info to the console.
  * @property {boolean} preferDistricts - Preferrably use ditrict name.
  * @property {number} refreshInterval - Interval for widget refresh, in minutes.
+ * @property {number} requestRetries - How often to retry a failed data request.
  * @property {string} widgetURL - The URL to load on widget interaction.
  */
 const prefs = {
   debugLogging: false,
   preferDistricts: false,
   refreshInterval: 60,
+  requestRetries: 2,
   incidenceLevelYellow: 35,
   incidenceLevelRed: 50,
   widgetURL: 'https://npgeo-corona-npgeo-de.hub.arcgis.com/app/478220a4c454480e823b17327b2bf1d4'
@@ -112,10 +118,16 @@ async function getData (codes) {
   for (code of codes) {
     const url = `https://covid.9digits.de/lockdown/${code}`
     logDebug(`Querying URL '${url}'`)
-    const request = new Request(url)
-    request.headers = { 'Accept': 'application/json' }
+    const load = () => {
+      const request = new Request(url)
+      request.headers = { 'Accept': 'application/json' }
+      return request.loadJSON()
+    }
+    const onRetry = (error, attempt, delay) => {
+      logDebug(`Attempt ${attempt} failed (${error.message}), retrying in ${delay} ms.`)
+    }
     try {
-      const resp = await request.loadJSON()
+      const resp = await retry(load, { retries: prefs.requestRetries, onRetry: onRetry })
       logDebug(`Response: ${JSON.stringify(resp)}`)
       const data = {
         code: code,
@@ -190,18 +202,8 @@ function getTrendSymbol (value, comparedTo) {
  * @param {boolean} [shortForm=false] - Whether to use a shortened display format.
  */
 function getUpdateInfo(timestamp, shortForm) {
-  const date = new Date(timestamp)
-  const dateFmt = new DateFormatter()
-  const timeFmt = new DateFormatter()
-  if (shortForm) {
-    dateFmt.useShortDateStyle()
-    timeFmt.useShortTimeStyle()
-  } else {
-    dateFmt.useFullDateStyle()
-    timeFmt.useShortTimeStyle()
-  }
-  const values = { date: dateFmt.string(date), time: timeFmt.string(date) }
-  return l8n.string('updated', values)
+  const key = shortForm ? 'updatedShort' : 'updated'
+  return l8n.string(key, { updated: new Date(timestamp) })
 }
 
 /**
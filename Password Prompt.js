@@ -13,7 +13,7 @@
  * Note we return a generic Error when the user cancels the prompt.
  * Source master repository on {@link https://github.com/kopischke/scriptable|GitHub}).
  * @author Martin Kopischke <martin@kopischke.net>
- * @version 1.0.2
+ * @version 1.0.3
  * @license MIT
  * @returns {ScriptResult} The script result with the password, if succesful.
  * @param {object} params – The prompt parameters.
@@ -29,7 +29,7 @@ const strings = {
   en: {
     promptTitle:'Password',
     promptMessage: 'Please enter your password for use by %{origin:the source app}.',
-    promptDone: 'OK',
+    promptOK: 'OK',
     promptSave: 'Save',
     promptOverwrite: 'Overwrite',
     promptCancel: 'Cancel',
@@ -55,7 +55,7 @@ var result
 try {
   let prompt = new Alert()
   prompt.title = params.title || l8n.string('promptTitle')
-  prompt.message = params.message || l8n.string('promptMessage', {source: params.origin})
+  prompt.message = params.message || l8n.string('promptMessage', {origin: params.origin})
   prompt.addSecureTextField(l8n.string('promptPlaceholder'))
   prompt.addCancelAction(l8n.string('promptCancel'))
   if (params.saveAs) {
@@ -1,18 +1,41 @@
 // Variables used by Scriptable.
 // These must be at the very top of the file. Do not edit.
 // icon-color: gray; icon-glyph: cog;
+const { Timer } = importModule('net.kopischke.timer')
+
 /**
  * A script result object.
  * @typedef ScriptResult
  * @property {string} kind - One of 'Result' or a JS Error name.
- * @property {string} value - Either the script output, or the Error message.
+ * @property {*} value - Either the script output, or the Error message.
+ * @property {Array.<{level: string, message: string}>} output - The console output of the code.
  */
 
+/**
+ * Evaluation settings.
+ * Hiding globals keeps well-meaning code away from them, but is no security boundary:
+ * code can still reach the real global object, e.g. through the `Function` constructor.
+ * @property {number} timeout - Time limit for the evaluation, in ms (0 for none).
+ * Synchronous code cannot be interrupted, so only time spent awaiting counts.
+ * @property {?Array.<string>} allow - Globals the code may use besides the JavaScript
+ * built ins (null for all globals not in `deny`).
+ * @property {Array.<string>} deny - Globals hidden from the code (i.e. 'Keychain').
+ */
+const settings = {
+  timeout: 30000,
+  allow: null,
+  deny: []
+}
+
 /**
  * Evaluate arbitrary JavaScript code from Shortcuts.
  * Handles both native shortcut arguments (iOS 13+) and pasteboard input (iOS 12).
+ * The code runs as the body of an async function, so it can use `await`, and its
+ * `return` value is awaited. Input can be the code, or a dictionary with `code`, and
+ * optionally `timeout` (which can only lower the limit of the settings) and `deny`
+ * (adding to the globals hidden by the settings).
  * @author Martin Kopischke <martin@kopischke.net>
- * @version 2.1.2
+ * @version 2.2.0
  * @returns {ScriptResult} The result of running the script (as JSON on Pasteboard).
  */
 const processor = {}
@@ -30,13 +53,118 @@ if (args.shortcutParameter != null) {
   }
 }
 
+/**
+ * JavaScript built in globals, which `settings.allow` need not list.
+ * @private
+ */
+const builtins = [
+  'AggregateError', 'Array', 'ArrayBuffer', 'BigInt', 'BigInt64Array', 'BigUint64Array',
+  'Boolean', 'DataView', 'Date', 'Error', 'EvalError', 'FinalizationRegistry', 'Float32Array',
+  'Float64Array', 'Function', 'Infinity', 'Int8Array', 'Int16Array', 'Int32Array', 'Intl',
+  'JSON', 'Map', 'Math', 'NaN', 'Number', 'Object', 'Promise', 'Proxy', 'RangeError',
+  'ReferenceError', 'Reflect', 'RegExp', 'Set', 'String', 'Symbol', 'SyntaxError', 'TypeError',
+  'URIError', 'Uint8Array', 'Uint8ClampedArray', 'Uint16Array', 'Uint32Array', 'WeakMap',
+  'WeakRef', 'WeakSet', 'decodeURI', 'decodeURIComponent', 'encodeURI', 'encodeURIComponent',
+  'escape', 'eval', 'globalThis', 'isFinite', 'isNaN', 'parseFloat', 'parseInt', 'undefined',
+  'unescape'
+]
+
+/**
+ * Format a console argument like the Scriptable console does.
+ * @returns {string} The formatted value.
+ * @param {*} item - The value to format.
+ * @private
+ */
+function format (item) {
+  if (typeof item === 'string') return item
+  if (item instanceof Error) return `${item.name}: ${item.message}`
+  try {
+    const json = JSON.stringify(item)
+    return json !== undefined ? json : String(item)
+  } catch (_) {
+    return String(item)
+  }
+}
+
+/**
+ * Get the result for an exception; thrown values need not be Errors.
+ * @returns {ScriptResult} The error result.
+ * @param {*} e - The thrown value.
+ * @param {Array.<{level: string, message: string}>} output - The console output so far.
+ * @private
+ */
+function failure (e, output) {
+  if (e instanceof Error) return { kind: e.name, value: e.message, output: output }
+  return { kind: 'Error', value: String(e), output: output }
+}
+
+/**
+ * Evaluate code as the body of an async function, with some globals hidden
+ * and console output captured.
+ * @returns {Promise<ScriptResult>} The result of running the code.
+ * @param {string} code - The code to evaluate.
+ * @param {object} options - Evaluation options, like `settings`.
+ * @private
+ */
+async function evaluate (code, options) {
+  const output = []
+  const capture = ['log', 'info', 'debug', 'warn', 'error'].reduce((acc, level) => {
+    acc[level] = (...items) => {
+      const message = items.map(format).join(' ')
+      output.push({ level: level, message: message })
+      ;(console[level] || console.log)(message)
+    }
+    return acc
+  }, {})
+
+  const hidden = new Set(options.deny)
+  if (options.allow != null) {
+    Object.getOwnPropertyNames(globalThis)
+      .filter(name => !builtins.includes(name) && !options.allow.includes(name))
+      .forEach(name => hidden.add(name))
+  }
+  const sandbox = new Proxy(globalThis, {
+    get: (target, name) => {
+      if (name === 'console') return capture
+      if (name === 'globalThis') return sandbox
+      return hidden.has(name) ? undefined : target[name]
+    },
+    has: (target, name) => !hidden.has(name) && name in target
+  })
+  const names = [...hidden]
+    .filter(name => /^[A-Za-z_$][\w$]*$/.test(name) && name !== 'console' && name !== 'globalThis')
+    .concat(['console', 'globalThis'])
+  const values = names.map(name => name === 'console' ? capture : name === 'globalThis' ? sandbox : undefined)
+
+  try {
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor
+    const fn = new AsyncFunction(...names, code)
+    const limit = Number(options.timeout) || 0
+    const timer = limit > 0 ? new Timer() : null
+    const run = fn.apply(sandbox, values)
+    const value = timer != null
+      ? await timer.timeout(run, limit, `Evaluation timed out after ${limit} ms.`)
+      : await run
+    return { kind: 'Result', value: value, output: output }
+  } catch (e) {
+    return failure(e, output)
+  }
+}
+
 var result
 try {
-  let code = processor.in()
-  if (code == null || !code.trim().length) throw new EvalError('No code to evaluate.')
-  result = { kind: 'Result', value: Function(code)() }
+  let input = processor.in()
+  let options = Object.assign({}, settings)
+  if (input != null && typeof input === 'object') {
+    const timeout = Number(input.timeout)
+    if (timeout > 0) options.timeout = settings.timeout > 0 ? Math.min(settings.timeout, timeout) : timeout
+    if (Array.isArray(input.deny)) options.deny = settings.deny.concat(input.deny)
+    input = input.code
+  }
+  if (input == null || !`${input}`.trim().length) throw new EvalError('No code to evaluate.')
+  result = await evaluate(`${input}`, options)
 } catch (e) {
-  result = { kind: e.name, value: e.message }
+  result = failure(e, [])
 }
 
 processor.out(result)
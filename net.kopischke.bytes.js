@@ -5,7 +5,7 @@
  * Byte stream handling helpers for Scriptable.
  * Source master repository on {@link https://github.com/kopischke/scriptable|GitHub}).
  * @author Martin Kopischke <martin@kopischke.net>
- * @version 1.1.1
+ * @version 1.9.0
  * @license MIT
  * @module
  */
@@ -16,6 +16,13 @@
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Uint8ClampedArray|Uint8ClampedArray reference on MDN}
  */
 
+/**
+ * Number of codepoints converted into a string at a time when decoding,
+ * keeping argument spreading well below engine call stack limits.
+ * @private
+ */
+const chunkSize = 8192
+
 /**
  * Decodable sequence of bytes.
  *
@@ -24,8 +31,13 @@
  * const { ByteSequence } = loadModule('net.kopischke.bytes.js')
  * const bytes = ByteSequence.fromChars('SanjÃ»rokunin no jÃ´kyaku')
  * let decoded = bytes.toUTF8String() // 'Sanjûrokunin no jôkyaku'
+ * let encoded = ByteSequence.fromUTF8String(decoded) // same bytes as `bytes`
+ * let latin1 = ByteSequence.fromString(decoded, 'latin1')
+ * let detected = latin1.detectEncoding() // 'latin1'
+ * let base64 = bytes.toBase64() // 'U2FuasO7cm9rdW5pbiBubyBqw7RreWFrdQ=='
+ * let digest = bytes.sha256().toHex()
  */
-module.exports.ByteSequence = class ByteSequence extends Uint8ClampedArray {
+const ByteSequence = module.exports.ByteSequence = class ByteSequence extends Uint8ClampedArray {
   /**
    * Creates a new ByteSequence instance.
    * @param {...string} bytes - The bytes to store in the sequence, in order.
@@ -69,40 +81,1994 @@ module.exports.ByteSequence = class ByteSequence extends Uint8ClampedArray {
   }
 
   /**
-   * Decode the byte sequence as UTF-8.
+   * Create a new ByteSequence by encoding a string as UTF-8.
    *
-   * Adapted from the code in {@link https://weblog.rogueamoeba.com/2017/02/27/javascript-correctly-converting-a-byte-array-to-a-utf-8-string/|“JavaScript: Correctly Converting a Byte Array to a UTF-8 String” by Ed Wynne},
-   * with less emphasis on bitwise operations and hex values, added errors and more efficient
-   * generation of the resulting string.
-   * @returns {string} The decoded string.
-   * @throws {RangeError} On invalid UTF-8 byte sequences.
+   * Surrogate pairs are combined into their astral plane codepoint before encoding;
+   * lone surrogates cannot be represented in UTF-8 and are replaced by U+FFFD,
+   * matching the behaviour of `TextEncoder`. For any well-formed string `str`,
+   * `ByteSequence.fromUTF8String(str).toUTF8String() === str`.
+   * @returns {ByteSequence} The UTF-8 encoded bytes.
+   * @param {string} str - The string to encode.
    * @see {@link https://en.wikipedia.org/wiki/UTF-8|“UTF-8” on Wikipedia}
    */
-  toUTF8String () {
-    const startBytes = [240, 224, 192] // multibyte start bytes 1111|1110|110X XXXX
-    const decoded = []
-
-    for (let pos = 0; pos < this.length;) {
-      let code = this[pos++]
-      if (code > 127) { // multibyte codepoint (if valid)
-        let forward = 3 - startBytes.findIndex(v => code >= v)
-        if (forward > 3 || (pos + forward) > this.length) {
-          let msg = `Invalid start of UTF-8 multibyte codepoint at position ${pos}: ${code}.`
-          throw new RangeError(msg)
+  static fromUTF8String (str) {
+    const encoded = []
+    for (let pos = 0; pos < str.length; pos++) {
+      let code = str.charCodeAt(pos)
+      if (code >= 0xD800 && code <= 0xDFFF) { // surrogate range
+        let next = str.charCodeAt(pos + 1) // NaN past the end
+        if (code <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF) {
+          code = 0x10000 + ((code - 0xD800) << 10) + (next - 0xDC00)
+          pos++
+        } else {
+          code = 0xFFFD
         }
+      }
 
-        code = code & (63 >> forward)
-        for (; forward > 0; forward--) {
-          let byte = this[pos++]
-          if (byte > 191) { // multibyte followup bytes must be 10XX XXXX
-            let msg = `Invalid UTF-8 multibyte codepoint part at position ${pos}: ${byte}.`
-            throw new RangeError(msg)
-          }
-          code = (code << 6) | (byte & 63)
+      if (code < 0x80) {
+        encoded.push(code)
+      } else if (code < 0x800) {
+        encoded.push(192 | (code >> 6), 128 | (code & 63))
+      } else if (code < 0x10000) {
+        encoded.push(224 | (code >> 12), 128 | ((code >> 6) & 63), 128 | (code & 63))
+      } else {
+        encoded.push(
+          240 | (code >> 18), 128 | ((code >> 12) & 63),
+          128 | ((code >> 6) & 63), 128 | (code & 63)
+        )
+      }
+    }
+    return new ByteSequence(encoded)
+  }
+
+  /**
+   * Create a new ByteSequence by encoding a string in one of the supported encodings.
+   * @returns {ByteSequence} The encoded bytes.
+   * @param {string} str - The string to encode.
+   * @param {Encoding} [encoding='utf-8'] - The target encoding (or one of its aliases).
+   * @param {object} [options] - Encoding options.
+   * @param {boolean} [options.bom=false] - Whether to prepend a byte order mark
+   * (ignored for single byte encodings, which have none).
+   * @param {boolean} [options.fatal=true] - Whether to throw on characters the encoding
+   * cannot represent; if false, these are replaced by '?'.
+   * @throws {RangeError} On unsupported encodings and, if `options.fatal` is true,
+   * on characters not representable in the encoding.
+   */
+  static fromString (str, encoding, options) {
+    const charset = charsets[canonicalEncoding(encoding || 'utf-8')]
+    const fatal = options == null || options.fatal !== false
+    const bom = options != null && options.bom === true
+    const bytes = charset.encode(str, fatal)
+    return bom && charset.bom != null
+      ? new ByteSequence([...charset.bom, ...bytes])
+      : bytes
+  }
+
+  /**
+   * Create a new ByteSequence from a base64 string (RFC 4648 § 4).
+   *
+   * In lenient mode (the default), whitespace is ignored and padding is optional.
+   * In strict mode, whitespace is invalid, padding is required and unused trailing
+   * bits must be zero, so that each byte sequence has exactly one valid encoding.
+   * @returns {ByteSequence} The decoded bytes.
+   * @param {string} str - The base64 encoded data.
+   * @param {object} [options] - Decoding options.
+   * @param {boolean} [options.strict=false] - Whether to use strict mode.
+   * @throws {RangeError} On invalid base64 data.
+   * @see {@link https://tools.ietf.org/html/rfc4648#section-4|RFC 4648 § 4}
+   */
+  static fromBase64 (str, options) {
+    const strict = options != null && options.strict === true
+    return decodeBase64(str, base64Alphabet, strict, true)
+  }
+
+  /**
+   * Create a new ByteSequence from a base64url string (RFC 4648 § 5).
+   *
+   * Like {@link ByteSequence.fromBase64}, but with the URL and file name safe alphabet.
+   * As padding is commonly dropped in URLs, it is optional even in strict mode,
+   * but must be correct if present.
+   * @returns {ByteSequence} The decoded bytes.
+   * @param {string} str - The base64url encoded data.
+   * @param {object} [options] - Decoding options.
+   * @param {boolean} [options.strict=false] - Whether to use strict mode.
+   * @throws {RangeError} On invalid base64url data.
+   * @see {@link https://tools.ietf.org/html/rfc4648#section-5|RFC 4648 § 5}
+   */
+  static fromBase64URL (str, options) {
+    const strict = options != null && options.strict === true
+    return decodeBase64(str, base64URLAlphabet, strict, false)
+  }
+
+  /**
+   * Create a new ByteSequence from a hexadecimal string.
+   *
+   * Hex digits are matched case insensitively. In lenient mode (the default),
+   * whitespace is ignored; in strict mode, it is invalid.
+   * @returns {ByteSequence} The decoded bytes.
+   * @param {string} str - The hex encoded data, two digits per byte.
+   * @param {object} [options] - Decoding options.
+   * @param {boolean} [options.strict=false] - Whether to use strict mode.
+   * @throws {RangeError} On invalid characters or an odd number of digits.
+   */
+  static fromHex (str, options) {
+    const strict = options != null && options.strict === true
+    const digits = strict ? str : str.replace(/\s+/g, '')
+    const invalid = digits.search(/[^0-9a-f]/i)
+    if (invalid > -1) {
+      let msg = `Invalid hex character at position ${invalid}: '${digits[invalid]}'.`
+      throw new RangeError(msg)
+    }
+    if (digits.length % 2 !== 0) {
+      throw new RangeError(`Odd number of hex digits: ${digits.length}.`)
+    }
+
+    const bytes = new ByteSequence(digits.length / 2)
+    for (let pos = 0; pos < bytes.length; pos++) {
+      bytes[pos] = Number.parseInt(digits.substr(pos * 2, 2), 16)
+    }
+    return bytes
+  }
+
+  /**
+   * Decode the byte sequence as UTF-8.
+   *
+   * Follows the decoding algorithm of the WHATWG Encoding Standard, i.e. overlong
+   * encodings, encoded surrogates and codepoints beyond U+10FFFF are all invalid.
+   * Astral plane codepoints are emitted as surrogate pairs, and the string is built
+   * in chunks, so inputs of any size can be decoded.
+   * @returns {string} The decoded string.
+   * @param {object} [options] - Decoding options.
+   * @param {boolean} [options.fatal=true] - Whether to throw on invalid byte sequences;
+   * if false, each maximal invalid subpart is replaced by U+FFFD, like `TextDecoder` does.
+   * @throws {RangeError} On invalid UTF-8 byte sequences, if `options.fatal` is true.
+   * @see {@link https://encoding.spec.whatwg.org/#utf-8-decoder|UTF-8 decoder in the WHATWG Encoding Standard}
+   */
+  toUTF8String (options) {
+    const decoder = new UTF8Decoder(options)
+    return decoder.push(this) + decoder.flush()
+  }
+
+  /**
+   * Decode the byte sequence in one of the supported encodings.
+   *
+   * A leading byte order mark matching `encoding` is removed, like `TextDecoder` does.
+   * When called without an encoding, this returns the comma separated list of byte
+   * values inherited from `Uint8ClampedArray`, so string coercion is unaffected.
+   * @returns {string} The decoded string.
+   * @param {Encoding} [encoding] - The source encoding (or one of its aliases).
+   * @param {object} [options] - Decoding options.
+   * @param {boolean} [options.fatal=true] - Whether to throw on invalid byte sequences;
+   * if false, these are replaced by U+FFFD.
+   * @param {boolean} [options.ignoreBOM=false] - Whether to keep a leading byte order mark.
+   * @throws {RangeError} On unsupported encodings and, if `options.fatal` is true,
+   * on byte sequences invalid in the encoding.
+   */
+  toString (encoding, options) {
+    if (encoding == null) return super.toString()
+
+    const charset = charsets[canonicalEncoding(encoding)]
+    const fatal = options == null || options.fatal !== false
+    const ignoreBOM = options != null && options.ignoreBOM === true
+    let bytes = this
+    if (!ignoreBOM && charset.bom != null && this.startsWith(charset.bom)) {
+      bytes = this.subarray(charset.bom.length)
+    }
+    return charset.decode(bytes, fatal)
+  }
+
+  /**
+   * Guess the encoding of the byte sequence.
+   *
+   * A byte order mark is authoritative. Failing that, text with a high share of
+   * null bytes in either even or odd positions is assumed to be BOM-less UTF-16,
+   * valid UTF-8 (which includes pure ASCII) to be UTF-8, and anything else to be
+   * Windows-1252 if it uses that encoding’s extra characters, Latin-1 otherwise.
+   * @returns {Encoding} The canonical name of the most likely encoding.
+   */
+  detectEncoding () {
+    for (let name of ['utf-8', 'utf-16le', 'utf-16be']) {
+      if (this.startsWith(charsets[name].bom)) return name
+    }
+
+    // NUL-heavy text is valid UTF-8 too, so look for UTF-16 first
+    if (this.length % 2 === 0) {
+      let evenNulls = 0
+      let oddNulls = 0
+      for (let pos = 0; pos < this.length; pos++) {
+        if (this[pos] === 0) pos % 2 === 0 ? evenNulls++ : oddNulls++
+      }
+      let threshold = this.length / 2 * 0.3
+      if (oddNulls > threshold && evenNulls < oddNulls / 4) return 'utf-16le'
+      if (evenNulls > threshold && oddNulls < evenNulls / 4) return 'utf-16be'
+    }
+
+    try {
+      this.toUTF8String()
+      return 'utf-8'
+    } catch (e) {
+      if (!(e instanceof RangeError)) throw e
+    }
+
+    return this.some(byte => byte >= 128 && byte <= 159) ? 'windows-1252' : 'latin1'
+  }
+
+  /**
+   * Encode the byte sequence as base64 (RFC 4648 § 4), with padding.
+   * @returns {string} The base64 encoded data.
+   * @see {@link https://tools.ietf.org/html/rfc4648#section-4|RFC 4648 § 4}
+   */
+  toBase64 () {
+    return encodeBase64(this, base64Alphabet, true)
+  }
+
+  /**
+   * Encode the byte sequence as base64url (RFC 4648 § 5).
+   * @returns {string} The base64url encoded data.
+   * @param {object} [options] - Encoding options.
+   * @param {boolean} [options.pad=false] - Whether to add '=' padding.
+   * @see {@link https://tools.ietf.org/html/rfc4648#section-5|RFC 4648 § 5}
+   */
+  toBase64URL (options) {
+    const pad = options != null && options.pad === true
+    return encodeBase64(this, base64URLAlphabet, pad)
+  }
+
+  /**
+   * Encode the byte sequence as lower case hexadecimal digits, two per byte.
+   * @returns {string} The hex encoded data.
+   */
+  toHex () {
+    return Array.from(this, byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
+  /**
+   * Compute the CRC-32 checksum (as used by gzip, ZIP and PNG) of the byte sequence.
+   * @returns {ByteSequence} The 4 byte checksum, most significant byte first.
+   * @see {@link https://en.wikipedia.org/wiki/Cyclic_redundancy_check|“Cyclic redundancy check” on Wikipedia}
+   */
+  crc32 () {
+    const crc = crc32Of(this)
+    return ByteSequence.of(crc >>> 24, (crc >>> 16) & 255, (crc >>> 8) & 255, crc & 255)
+  }
+
+  /**
+   * Compute the SHA-1 digest of the byte sequence.
+   * SHA-1 is broken for collision resistance; use it for legacy formats only.
+   * @returns {ByteSequence} The 20 byte digest.
+   * @see {@link https://tools.ietf.org/html/rfc3174|RFC 3174}
+   */
+  sha1 () {
+    return digests.sha1.digest(this)
+  }
+
+  /**
+   * Compute the SHA-256 digest of the byte sequence.
+   * @returns {ByteSequence} The 32 byte digest.
+   * @see {@link https://tools.ietf.org/html/rfc6234|RFC 6234}
+   */
+  sha256 () {
+    return digests.sha256.digest(this)
+  }
+
+  /**
+   * Compute the SHA-512 digest of the byte sequence.
+   * @returns {ByteSequence} The 64 byte digest.
+   * @see {@link https://tools.ietf.org/html/rfc6234|RFC 6234}
+   */
+  sha512 () {
+    return digests.sha512.digest(this)
+  }
+
+  /**
+   * Compute the HMAC of the byte sequence.
+   * @returns {ByteSequence} The message authentication code.
+   * @param {ArrayLike<number>|string} key - The secret key; strings are UTF-8 encoded.
+   * @param {string} [algo='sha256'] - The hash function, one of 'sha1', 'sha256' or 'sha512'.
+   * @throws {RangeError} On unsupported hash functions.
+   * @see {@link https://tools.ietf.org/html/rfc2104|RFC 2104}
+   */
+  hmac (key, algo) {
+    const name = (algo || 'sha256').toLowerCase().replace('-', '')
+    if (!Object.prototype.hasOwnProperty.call(digests, name)) {
+      throw new RangeError(`Unsupported HMAC hash function: '${algo}'.`)
+    }
+    const hash = digests[name]
+
+    let keyBytes = typeof key === 'string' ? ByteSequence.fromUTF8String(key) : ByteSequence.from(key)
+    if (keyBytes.length > hash.blockSize) keyBytes = hash.digest(keyBytes)
+    const inner = new ByteSequence(hash.blockSize + this.length)
+    const outer = new ByteSequence(hash.blockSize + hash.size)
+    for (let pos = 0; pos < hash.blockSize; pos++) {
+      let byte = keyBytes[pos] || 0
+      inner[pos] = byte ^ 0x36
+      outer[pos] = byte ^ 0x5C
+    }
+    inner.set(this, hash.blockSize)
+    outer.set(hash.digest(inner), hash.blockSize)
+    return hash.digest(outer)
+  }
+
+  /**
+   * Decompress the byte sequence as DEFLATE data.
+   * @returns {ByteSequence} The decompressed data.
+   * @param {object} [options] - Decompression options.
+   * @param {string} [options.format='raw'] - 'raw' for bare DEFLATE data (RFC 1951),
+   * 'zlib' for the zlib wrapper (RFC 1950) used by HTTP’s `deflate` content encoding.
+   * @throws {RangeError} On corrupt or truncated data, or a failed zlib checksum.
+   * @see {@link https://tools.ietf.org/html/rfc1951|RFC 1951}
+   */
+  inflate (options) {
+    const format = options != null && options.format != null ? options.format : 'raw'
+    if (format === 'raw') return inflateRaw(this, 0).data
+    if (format !== 'zlib') throw new RangeError(`Unknown DEFLATE format: '${format}'.`)
+
+    if (this.length < 6 || (this[0] & 15) !== 8 || ((this[0] << 8) | this[1]) % 31 !== 0) {
+      throw new RangeError('Invalid zlib header.')
+    }
+    if (this[1] & 32) throw new RangeError('Unsupported zlib preset dictionary.')
+    const { data, end } = inflateRaw(this, 2)
+    const reader = new ByteReader(this.subarray(end))
+    if (reader.remaining < 4 || reader.readUint32() !== adler32Of(data)) {
+      throw new RangeError('zlib Adler-32 checksum mismatch.')
+    }
+    return data
+  }
+
+  /**
+   * Decompress the byte sequence as gzip data. Concatenated gzip members
+   * are decompressed in sequence, like `gunzip` does.
+   * @returns {ByteSequence} The decompressed data.
+   * @throws {RangeError} On corrupt or truncated data, or a failed CRC-32 or size check.
+   * @see {@link https://tools.ietf.org/html/rfc1952|RFC 1952}
+   */
+  gunzip () {
+    const members = []
+    let pos = 0
+    do {
+      const header = new ByteReader(this.subarray(pos), { littleEndian: true })
+      if (header.remaining < 18) throw new RangeError(`Truncated gzip data at position ${pos}.`)
+      if (header.readUint8() !== 31 || header.readUint8() !== 139) {
+        throw new RangeError(`Invalid gzip header at position ${pos}.`)
+      }
+      if (header.readUint8() !== 8) throw new RangeError('Unsupported gzip compression method.')
+      const flags = header.readUint8()
+      header.skip(6) // mtime, extra flags, OS
+      if (flags & 4) header.skip(header.readUint16()) // FEXTRA
+      if (flags & 8) while (header.readUint8() !== 0); // FNAME
+      if (flags & 16) while (header.readUint8() !== 0); // FCOMMENT
+      if (flags & 2) header.skip(2) // FHCRC
+
+      const { data, end } = inflateRaw(this, pos + header.position)
+      const trailer = new ByteReader(this.subarray(end), { littleEndian: true })
+      if (trailer.remaining < 8) throw new RangeError('Truncated gzip trailer.')
+      if (trailer.readUint32() !== crc32Of(data)) throw new RangeError('gzip CRC-32 mismatch.')
+      if (trailer.readUint32() !== data.length % 4294967296) throw new RangeError('gzip size mismatch.')
+      members.push(data)
+      pos = end + 8
+    } while (pos < this.length && this[pos] === 31)
+
+    if (members.length === 1) return members[0]
+    const writer = new ByteWriter({ capacity: members.reduce((acc, cur) => acc + cur.length, 0) })
+    members.forEach(data => writer.writeBytes(data))
+    return writer.toByteSequence()
+  }
+
+  /**
+   * A file system entry in a tar archive.
+   * @typedef {object} TarEntry
+   * @property {string} name - The entry path.
+   * @property {string} type - One of 'file', 'directory', 'symlink', 'link' or 'other'.
+   * @property {number} mode - The POSIX permission bits.
+   * @property {number} size - The size of the entry data, in bytes.
+   * @property {Date} mtime - The modification date.
+   * @property {?string} linkName - The link target, for links.
+   * @property {ByteSequence} data - The entry data (empty for non-files).
+   */
+
+  /**
+   * Read the byte sequence as an uncompressed tar archive (e.g. a gunzipped npm tarball).
+   * Handles ustar name prefixes, GNU long names and pax path and size records.
+   * @returns {Array.<TarEntry>} The archive entries, in order.
+   * @throws {RangeError} On corrupt or truncated archives.
+   * @see {@link https://www.gnu.org/software/tar/manual/html_node/Standard.html|“Basic Tar Format” in the GNU tar manual}
+   */
+  untar () {
+    const entries = []
+    const field = (pos, length) => {
+      const bytes = this.subarray(pos, pos + length)
+      const end = bytes.indexOf(0)
+      return bytes.subarray(0, end < 0 ? length : end).toUTF8String({ fatal: false })
+    }
+    const octal = (pos, length) => Number.parseInt(field(pos, length).trim() || '0', 8)
+    let override = {}
+
+    for (let pos = 0; pos + 512 <= this.length;) {
+      const header = pos
+      if (this.subarray(header, header + 512).every(byte => byte === 0)) break // end of archive
+
+      let checksum = 0
+      for (let idx = 0; idx < 512; idx++) {
+        checksum += idx >= 148 && idx < 156 ? 32 : this[header + idx]
+      }
+      if (checksum !== octal(header + 148, 8)) {
+        throw new RangeError(`Invalid tar header checksum at position ${header}.`)
+      }
+
+      const flag = String.fromCharCode(this[header + 156])
+      const size = override.size != null ? override.size : octal(header + 124, 12)
+      const start = header + 512
+      if (start + size > this.length) throw new RangeError(`Truncated tar entry at position ${header}.`)
+      const data = this.slice(start, start + size)
+      pos = start + Math.ceil(size / 512) * 512
+
+      if (flag === 'L') { // GNU long name for the next entry
+        override.path = field(start, size)
+        continue
+      }
+      if (flag === 'x') { // pax extended header for the next entry
+        Object.assign(override, parsePaxRecords(data.toUTF8String({ fatal: false })))
+        continue
+      }
+      if (flag === 'g') continue // pax global header
+
+      let name = field(header, 100)
+      if (field(header + 257, 6) === 'ustar') {
+        let prefix = field(header + 345, 155)
+        if (prefix) name = `${prefix}/${name}`
+      }
+      const type = flag === '\u0000' ? 'file' : tarTypes[flag] || 'other'
+
+      entries.push({
+        name: override.path != null ? override.path : name,
+        type: type,
+        mode: octal(header + 100, 8),
+        size: size,
+        mtime: new Date(octal(header + 136, 12) * 1000),
+        linkName: override.linkpath != null ? override.linkpath : field(header + 157, 100) || null,
+        data: type === 'file' ? data : new ByteSequence(0)
+      })
+      override = {}
+    }
+    return entries
+  }
+
+  /**
+   * Check whether the byte sequence starts with a given sequence of bytes.
+   * @returns {boolean} Whether all of `bytes` match the start of the sequence.
+   * @param {ArrayLike<number>} bytes - The bytes to look for.
+   */
+  startsWith (bytes) {
+    if (bytes.length > this.length) return false
+    for (let pos = 0; pos < bytes.length; pos++) {
+      if (this[pos] !== bytes[pos]) return false
+    }
+    return true
+  }
+}
+
+/**
+ * Incremental UTF-8 decoder for byte input arriving in chunks.
+ *
+ * Multibyte codepoints split across chunks are carried over to the next
+ * {@link UTF8Decoder#push} call; error positions are byte offsets counted
+ * from the start of the whole stream, not of the current chunk.
+ *
+ * @example
+ * const { UTF8Decoder } = loadModule('net.kopischke.bytes.js')
+ * const decoder = new UTF8Decoder()
+ * let text = decoder.push([83, 97, 110, 106, 195]) // 'Sanj'
+ * text += decoder.push([187, 114, 111]) // 'ûro'
+ * text += decoder.flush() // ''
+ */
+const UTF8Decoder = module.exports.UTF8Decoder = class UTF8Decoder {
+  /**
+   * Creates a new UTF8Decoder instance.
+   * @param {object} [options] - Decoding options.
+   * @param {boolean} [options.fatal=true] - Whether to throw on invalid byte sequences;
+   * if false, each maximal invalid subpart is replaced by U+FFFD, like `TextDecoder` does.
+   * @property {boolean} fatal - Whether invalid byte sequences throw.
+   * @property {number} position - The number of bytes pushed since creation or the last flush.
+   */
+  constructor (options) {
+    this.fatal = options == null || options.fatal !== false
+    this.reset()
+  }
+
+  /**
+   * Discard any partial codepoint and restart counting positions from 0.
+   */
+  reset () {
+    this.position = 0
+    this._code = 0
+    this._needed = 0
+    this._seen = 0
+    this._lower = 128
+    this._upper = 191
+  }
+
+  /**
+   * Decode the next chunk of bytes.
+   *
+   * Follows the decoding algorithm of the WHATWG Encoding Standard, i.e. overlong
+   * encodings, encoded surrogates and codepoints beyond U+10FFFF are all invalid.
+   * Trailing bytes of an incomplete codepoint are kept until the next call.
+   * @returns {string} The text decoded from all complete codepoints so far.
+   * @param {ArrayLike<number>} chunk - The bytes to decode (e.g. a {@link ByteSequence}).
+   * @throws {RangeError} On invalid UTF-8 byte sequences, if {@link UTF8Decoder#fatal} is true.
+   * @see {@link https://encoding.spec.whatwg.org/#utf-8-decoder|UTF-8 decoder in the WHATWG Encoding Standard}
+   */
+  push (chunk) {
+    const parts = []
+    let codes = []
+
+    const emit = code => {
+      codes.push(code)
+      if (codes.length >= chunkSize) {
+        parts.push(String.fromCodePoint(...codes))
+        codes = []
+      }
+    }
+    const fail = msg => {
+      if (this.fatal) throw new RangeError(msg)
+      emit(0xFFFD)
+    }
+
+    const offset = this.position
+    for (let pos = 0; pos < chunk.length; pos++) {
+      let byte = chunk[pos]
+      this.position = offset + pos + 1
+
+      if (this._needed === 0) {
+        if (byte < 128) {
+          emit(byte)
+        } else if (byte >= 194 && byte <= 223) { // 110X XXXX, no overlongs
+          this._needed = 1
+          this._code = byte & 31
+        } else if (byte >= 224 && byte <= 239) { // 1110 XXXX
+          if (byte === 224) this._lower = 160 // overlong
+          if (byte === 237) this._upper = 159 // surrogates
+          this._needed = 2
+          this._code = byte & 15
+        } else if (byte >= 240 && byte <= 244) { // 1111 0XXX
+          if (byte === 240) this._lower = 144 // overlong
+          if (byte === 244) this._upper = 143 // beyond U+10FFFF
+          this._needed = 3
+          this._code = byte & 7
+        } else {
+          let msg = `Invalid start of UTF-8 multibyte codepoint at position ${offset + pos}: ${byte}.`
+          fail(msg)
         }
+        continue
+      }
+
+      if (byte < this._lower || byte > this._upper) { // followup bytes must be 10XX XXXX
+        this._code = this._needed = this._seen = 0
+        this._lower = 128
+        this._upper = 191
+        this.position--
+        pos-- // the byte may start a new codepoint
+        let msg = `Invalid UTF-8 multibyte codepoint part at position ${offset + pos + 1}: ${byte}.`
+        fail(msg)
+        continue
+      }
+
+      this._lower = 128
+      this._upper = 191
+      this._code = (this._code << 6) | (byte & 63)
+      if (++this._seen === this._needed) {
+        emit(this._code)
+        this._code = this._needed = this._seen = 0
+      }
+    }
+
+    parts.push(String.fromCodePoint(...codes))
+    return parts.join('')
+  }
+
+  /**
+   * Finish decoding the stream and reset the decoder for reuse.
+   * @returns {string} U+FFFD if the stream ended inside a codepoint in non-fatal mode, else ''.
+   * @throws {RangeError} If the stream ended inside a codepoint and {@link UTF8Decoder#fatal} is true.
+   */
+  flush () {
+    const truncated = this._needed > 0
+    const position = this.position
+    this.reset()
+    if (truncated) {
+      let msg = `Truncated UTF-8 multibyte codepoint at position ${position}.`
+      if (this.fatal) throw new RangeError(msg)
+      return '\uFFFD'
+    }
+    return ''
+  }
+}
+
+/**
+ * Length prefix formats for {@link ByteReader#readPrefixedString} and
+ * {@link ByteWriter#writePrefixedString}: one of 'uint8', 'uint16', 'uint32'
+ * (in the reader’s or writer’s byte order) or 'varuint' (unsigned LEB128).
+ * @typedef {string} LengthPrefix
+ */
+
+/**
+ * Sequential reader over a byte sequence, with a position cursor.
+ *
+ * Multibyte numbers are read in the reader’s default byte order unless the
+ * `littleEndian` argument of the read method overrides it. All reads past the
+ * end of the data throw a `RangeError` without moving the cursor.
+ *
+ * @example
+ * const { ByteReader } = loadModule('net.kopischke.bytes.js')
+ * const png = new ByteReader(bytes)
+ * png.skip(8) // signature
+ * let length = png.readUint32()
+ * let type = png.readString(4, 'latin1') // 'IHDR'
+ * let width = png.readUint32()
+ */
+const ByteReader = module.exports.ByteReader = class ByteReader {
+  /**
+   * Creates a new ByteReader instance.
+   * @param {ArrayLike<number>|ArrayBuffer} bytes - The data to read.
+   * @param {object} [options] - Reader options.
+   * @param {boolean} [options.littleEndian=false] - The default byte order.
+   * @property {ByteSequence} bytes - The data read.
+   * @property {boolean} littleEndian - The default byte order.
+   * @property {number} position - The offset of the next byte to read.
+   */
+  constructor (bytes, options) {
+    this.bytes = toByteSequence(bytes)
+    this.littleEndian = options != null && options.littleEndian === true
+    this.position = 0
+    this._view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength)
+  }
+
+  /**
+   * The total number of bytes in the data.
+   * @type {number}
+   */
+  get length () {
+    return this.bytes.length
+  }
+
+  /**
+   * The number of bytes left to read.
+   * @type {number}
+   */
+  get remaining () {
+    return this.bytes.length - this.position
+  }
+
+  /**
+   * Move the cursor to an absolute position.
+   * @returns {ByteReader} The reader, for chaining.
+   * @param {number} position - The new position; may equal the data length.
+   * @throws {RangeError} If the position is outside the data.
+   */
+  seek (position) {
+    if (!Number.isInteger(position) || position < 0 || position > this.length) {
+      throw new RangeError(`Seek to position ${position} outside of ${this.length} bytes.`)
+    }
+    this.position = position
+    return this
+  }
+
+  /**
+   * Move the cursor forward (or backward, for negative counts).
+   * @returns {ByteReader} The reader, for chaining.
+   * @param {number} count - The number of bytes to skip.
+   * @throws {RangeError} If the new position would be outside the data.
+   */
+  skip (count) {
+    return this.seek(this.position + count)
+  }
+
+  /** @returns {number} The next byte as an unsigned integer. */
+  readUint8 () {
+    return this._get('getUint8', 1)
+  }
+
+  /** @returns {number} The next byte as a signed integer. */
+  readInt8 () {
+    return this._get('getInt8', 1)
+  }
+
+  /**
+   * @returns {number} The next 2 bytes as an unsigned integer.
+   * @param {boolean} [littleEndian] - Overrides the reader’s byte order.
+   */
+  readUint16 (littleEndian) {
+    return this._get('getUint16', 2, littleEndian)
+  }
+
+  /**
+   * @returns {number} The next 2 bytes as a signed integer.
+   * @param {boolean} [littleEndian] - Overrides the reader’s byte order.
+   */
+  readInt16 (littleEndian) {
+    return this._get('getInt16', 2, littleEndian)
+  }
+
+  /**
+   * @returns {number} The next 4 bytes as an unsigned integer.
+   * @param {boolean} [littleEndian] - Overrides the reader’s byte order.
+   */
+  readUint32 (littleEndian) {
+    return this._get('getUint32', 4, littleEndian)
+  }
+
+  /**
+   * @returns {number} The next 4 bytes as a signed integer.
+   * @param {boolean} [littleEndian] - Overrides the reader’s byte order.
+   */
+  readInt32 (littleEndian) {
+    return this._get('getInt32', 4, littleEndian)
+  }
+
+  /**
+   * @returns {BigInt} The next 8 bytes as an unsigned integer.
+   * @param {boolean} [littleEndian] - Overrides the reader’s byte order.
+   */
+  readBigUint64 (littleEndian) {
+    return this._get('getBigUint64', 8, littleEndian)
+  }
+
+  /**
+   * @returns {BigInt} The next 8 bytes as a signed integer.
+   * @param {boolean} [littleEndian] - Overrides the reader’s byte order.
+   */
+  readBigInt64 (littleEndian) {
+    return this._get('getBigInt64', 8, littleEndian)
+  }
+
+  /**
+   * @returns {number} The next 4 bytes as an IEEE 754 single precision float.
+   * @param {boolean} [littleEndian] - Overrides the reader’s byte order.
+   */
+  readFloat32 (littleEndian) {
+    return this._get('getFloat32', 4, littleEndian)
+  }
+
+  /**
+   * @returns {number} The next 8 bytes as an IEEE 754 double precision float.
+   * @param {boolean} [littleEndian] - Overrides the reader’s byte order.
+   */
+  readFloat64 (littleEndian) {
+    return this._get('getFloat64', 8, littleEndian)
+  }
+
+  /**
+   * Read an unsigned LEB128 variable length integer, as used by protobuf and WebAssembly.
+   * @returns {number} The integer.
+   * @throws {RangeError} If the data ends inside the integer, or it exceeds `Number.MAX_SAFE_INTEGER`.
+   */
+  readVarUint () {
+    const start = this.position
+    let value = 0
+    let factor = 1
+    let byte
+    do {
+      if (this.position >= this.length) {
+        this.position = start
+        throw new RangeError(`Truncated varint at position ${start}.`)
+      }
+      byte = this.bytes[this.position++]
+      value += (byte & 127) * factor
+      factor *= 128
+    } while ((byte & 128) && factor <= 2 ** 56)
+    if ((byte & 128) || value > Number.MAX_SAFE_INTEGER) {
+      this.position = start
+      throw new RangeError(`Varint at position ${start} exceeds the safe integer range.`)
+    }
+    return value
+  }
+
+  /**
+   * Read a signed LEB128 variable length integer, as used by WebAssembly and DWARF.
+   * @returns {number} The integer.
+   * @throws {RangeError} If the data ends inside the integer, or it exceeds the safe integer range.
+   */
+  readVarInt () {
+    const start = this.position
+    let value = 0
+    let factor = 1
+    let byte
+    do {
+      if (this.position >= this.length) {
+        this.position = start
+        throw new RangeError(`Truncated varint at position ${start}.`)
       }
-      decoded.push(code)
+      byte = this.bytes[this.position++]
+      let group = byte & 127
+      if (!(byte & 128) && (group & 64)) group -= 128 // sign bit of the last group
+      value += group * factor
+      factor *= 128
+    } while ((byte & 128) && factor <= 2 ** 56)
+    if ((byte & 128) || !Number.isSafeInteger(value)) {
+      this.position = start
+      throw new RangeError(`Varint at position ${start} exceeds the safe integer range.`)
     }
-    return String.fromCharCode(...decoded)
+    return value
+  }
+
+  /**
+   * Read a number of bytes as a new ByteSequence.
+   * @returns {ByteSequence} A copy of the bytes read.
+   * @param {number} count - The number of bytes to read.
+   * @throws {RangeError} If fewer than `count` bytes remain.
+   */
+  readBytes (count) {
+    this._check(count)
+    const bytes = this.bytes.slice(this.position, this.position + count)
+    this.position += count
+    return bytes
+  }
+
+  /**
+   * Read a number of bytes as a new reader sharing the data and byte order,
+   * e.g. to parse a sized chunk without overrunning it.
+   * @returns {ByteReader} A reader over the bytes read.
+   * @param {number} count - The number of bytes to read.
+   * @throws {RangeError} If fewer than `count` bytes remain.
+   */
+  slice (count) {
+    this._check(count)
+    const bytes = this.bytes.subarray(this.position, this.position + count)
+    this.position += count
+    return new ByteReader(bytes, { littleEndian: this.littleEndian })
+  }
+
+  /**
+   * Read a fixed number of bytes as a string.
+   * @returns {string} The decoded string.
+   * @param {number} count - The number of bytes to read.
+   * @param {Encoding} [encoding='utf-8'] - The string encoding.
+   * @throws {RangeError} If fewer than `count` bytes remain, or they are invalid in the encoding.
+   */
+  readString (count, encoding) {
+    this._check(count)
+    const bytes = this.bytes.subarray(this.position, this.position + count)
+    const str = bytes.toString(encoding || 'utf-8', { ignoreBOM: true })
+    this.position += count
+    return str
+  }
+
+  /**
+   * Read a length prefixed UTF-8 string.
+   * @returns {string} The decoded string.
+   * @param {LengthPrefix} [prefix='varuint'] - The format of the byte length prefix.
+   * @throws {RangeError} On truncated or invalid data, or an unknown prefix format.
+   */
+  readPrefixedString (prefix) {
+    const start = this.position
+    try {
+      let count = readLengthPrefix(this, prefix || 'varuint')
+      return this.readString(count, 'utf-8')
+    } catch (e) {
+      this.position = start
+      throw e
+    }
+  }
+
+  /**
+   * Check that a number of bytes can be read from the current position.
+   * @param {number} count - The number of bytes to read.
+   * @throws {RangeError} If fewer than `count` bytes remain.
+   * @private
+   */
+  _check (count) {
+    if (!Number.isInteger(count) || count < 0 || count > this.remaining) {
+      let msg = `Read of ${count} bytes at position ${this.position} exceeds ${this.length} bytes.`
+      throw new RangeError(msg)
+    }
+  }
+
+  /**
+   * Read a fixed size number through the DataView and advance the cursor.
+   * @returns {number|BigInt} The number read.
+   * @param {string} getter - The DataView getter method name.
+   * @param {number} size - The byte size of the number.
+   * @param {boolean} [littleEndian] - Overrides the reader’s byte order.
+   * @private
+   */
+  _get (getter, size, littleEndian) {
+    this._check(size)
+    const value = this._view[getter](this.position, littleEndian == null ? this.littleEndian : littleEndian)
+    this.position += size
+    return value
+  }
+}
+
+/**
+ * Sequential writer producing a byte sequence, with a position cursor.
+ *
+ * The written data grows as needed; seeking back allows overwriting earlier
+ * bytes (e.g. to fill in a length field). Multibyte numbers are written in the
+ * writer’s default byte order unless the `littleEndian` argument overrides it.
+ * Values outside the range of the written type throw a `RangeError`.
+ *
+ * @example
+ * const { ByteWriter } = loadModule('net.kopischke.bytes.js')
+ * const writer = new ByteWriter({ littleEndian: true })
+ * writer.writeUint16(0x4b50).writePrefixedString('name', 'uint16')
+ * let bytes = writer.toByteSequence()
+ */
+const ByteWriter = module.exports.ByteWriter = class ByteWriter {
+  /**
+   * Creates a new ByteWriter instance.
+   * @param {object} [options] - Writer options.
+   * @param {boolean} [options.littleEndian=false] - The default byte order.
+   * @param {number} [options.capacity=64] - The initial buffer size, in bytes.
+   * @property {boolean} littleEndian - The default byte order.
+   * @property {number} position - The offset of the next byte to write.
+   * @property {number} length - The number of bytes written (the highest offset reached).
+   */
+  constructor (options) {
+    const opts = options || {}
+    this.littleEndian = opts.littleEndian === true
+    this.position = 0
+    this.length = 0
+    this._buffer = new ArrayBuffer(Math.max(opts.capacity || 64, 1))
+    this._view = new DataView(this._buffer)
+  }
+
+  /**
+   * Move the cursor to an absolute position inside the written data.
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} position - The new position; may equal the written length.
+   * @throws {RangeError} If the position is outside the written data.
+   */
+  seek (position) {
+    if (!Number.isInteger(position) || position < 0 || position > this.length) {
+      throw new RangeError(`Seek to position ${position} outside of ${this.length} bytes.`)
+    }
+    this.position = position
+    return this
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - An unsigned integer in the range 0 – 255.
+   */
+  writeUint8 (value) {
+    return this._set('setUint8', 1, value, 0, 255)
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - A signed integer in the range -128 – 127.
+   */
+  writeInt8 (value) {
+    return this._set('setInt8', 1, value, -128, 127)
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - An unsigned 16 bit integer.
+   * @param {boolean} [littleEndian] - Overrides the writer’s byte order.
+   */
+  writeUint16 (value, littleEndian) {
+    return this._set('setUint16', 2, value, 0, 65535, littleEndian)
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - A signed 16 bit integer.
+   * @param {boolean} [littleEndian] - Overrides the writer’s byte order.
+   */
+  writeInt16 (value, littleEndian) {
+    return this._set('setInt16', 2, value, -32768, 32767, littleEndian)
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - An unsigned 32 bit integer.
+   * @param {boolean} [littleEndian] - Overrides the writer’s byte order.
+   */
+  writeUint32 (value, littleEndian) {
+    return this._set('setUint32', 4, value, 0, 4294967295, littleEndian)
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - A signed 32 bit integer.
+   * @param {boolean} [littleEndian] - Overrides the writer’s byte order.
+   */
+  writeInt32 (value, littleEndian) {
+    return this._set('setInt32', 4, value, -2147483648, 2147483647, littleEndian)
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {BigInt} value - An unsigned 64 bit integer.
+   * @param {boolean} [littleEndian] - Overrides the writer’s byte order.
+   */
+  writeBigUint64 (value, littleEndian) {
+    return this._set('setBigUint64', 8, value, BigInt(0), BigInt(2) ** BigInt(64) - BigInt(1), littleEndian)
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {BigInt} value - A signed 64 bit integer.
+   * @param {boolean} [littleEndian] - Overrides the writer’s byte order.
+   */
+  writeBigInt64 (value, littleEndian) {
+    return this._set('setBigInt64', 8, value, -(BigInt(2) ** BigInt(63)), BigInt(2) ** BigInt(63) - BigInt(1), littleEndian)
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - A number, stored as IEEE 754 single precision float.
+   * @param {boolean} [littleEndian] - Overrides the writer’s byte order.
+   */
+  writeFloat32 (value, littleEndian) {
+    return this._set('setFloat32', 4, value, -Infinity, Infinity, littleEndian)
+  }
+
+  /**
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - A number, stored as IEEE 754 double precision float.
+   * @param {boolean} [littleEndian] - Overrides the writer’s byte order.
+   */
+  writeFloat64 (value, littleEndian) {
+    return this._set('setFloat64', 8, value, -Infinity, Infinity, littleEndian)
+  }
+
+  /**
+   * Write an unsigned LEB128 variable length integer.
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - A non-negative safe integer.
+   * @throws {RangeError} If `value` is not a non-negative safe integer.
+   */
+  writeVarUint (value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new RangeError(`Value out of range for varuint: ${value}.`)
+    }
+    const bytes = []
+    do {
+      let group = value % 128
+      value = Math.floor(value / 128)
+      bytes.push(value > 0 ? group | 128 : group)
+    } while (value > 0)
+    return this.writeBytes(bytes)
+  }
+
+  /**
+   * Write a signed LEB128 variable length integer.
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {number} value - A safe integer.
+   * @throws {RangeError} If `value` is not a safe integer.
+   */
+  writeVarInt (value) {
+    if (!Number.isSafeInteger(value)) {
+      throw new RangeError(`Value out of range for varint: ${value}.`)
+    }
+    const bytes = []
+    for (;;) {
+      let group = ((value % 128) + 128) % 128
+      value = Math.floor(value / 128)
+      let done = (value === 0 && !(group & 64)) || (value === -1 && (group & 64))
+      bytes.push(done ? group : group | 128)
+      if (done) break
+    }
+    return this.writeBytes(bytes)
+  }
+
+  /**
+   * Write a sequence of bytes.
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {ArrayLike<number>} bytes - The bytes to write (e.g. a {@link ByteSequence}).
+   */
+  writeBytes (bytes) {
+    this._reserve(bytes.length)
+    new Uint8Array(this._buffer).set(bytes, this.position)
+    this._advance(bytes.length)
+    return this
+  }
+
+  /**
+   * Write a string, without length information.
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {string} str - The string to write.
+   * @param {Encoding} [encoding='utf-8'] - The string encoding.
+   * @throws {RangeError} If the string is not representable in the encoding.
+   */
+  writeString (str, encoding) {
+    return this.writeBytes(ByteSequence.fromString(str, encoding || 'utf-8'))
+  }
+
+  /**
+   * Write a length prefixed UTF-8 string.
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {string} str - The string to write.
+   * @param {LengthPrefix} [prefix='varuint'] - The format of the byte length prefix.
+   * @throws {RangeError} If the string is too long for the prefix, or the prefix format is unknown.
+   */
+  writePrefixedString (str, prefix) {
+    const bytes = ByteSequence.fromUTF8String(str)
+    writeLengthPrefix(this, prefix || 'varuint', bytes.length)
+    return this.writeBytes(bytes)
+  }
+
+  /**
+   * Get the data written so far.
+   * @returns {ByteSequence} A copy of the written bytes.
+   */
+  toByteSequence () {
+    return new ByteSequence(this._buffer.slice(0, this.length))
+  }
+
+  /**
+   * Grow the buffer so a number of bytes can be written at the current position.
+   * @param {number} count - The number of bytes to write.
+   * @private
+   */
+  _reserve (count) {
+    const needed = this.position + count
+    if (needed > this._buffer.byteLength) {
+      let size = this._buffer.byteLength
+      while (size < needed) size *= 2
+      const buffer = new ArrayBuffer(size)
+      new Uint8Array(buffer).set(new Uint8Array(this._buffer))
+      this._buffer = buffer
+      this._view = new DataView(buffer)
+    }
+  }
+
+  /**
+   * Move the cursor past written bytes, extending the written length if needed.
+   * @param {number} count - The number of bytes written.
+   * @private
+   */
+  _advance (count) {
+    this.position += count
+    this.length = Math.max(this.length, this.position)
+  }
+
+  /**
+   * Write a fixed size number through the DataView and advance the cursor.
+   * @returns {ByteWriter} The writer, for chaining.
+   * @param {string} setter - The DataView setter method name.
+   * @param {number} size - The byte size of the number.
+   * @param {number|BigInt} value - The number to write.
+   * @param {number|BigInt} min - The minimum value of the type.
+   * @param {number|BigInt} max - The maximum value of the type.
+   * @param {boolean} [littleEndian] - Overrides the writer’s byte order.
+   * @throws {RangeError} If `value` is outside the range of the type.
+   * @private
+   */
+  _set (setter, size, value, min, max, littleEndian) {
+    const integer = typeof min === 'bigint' || Number.isFinite(min)
+    const valid = typeof value === typeof min &&
+      (!integer || typeof value === 'bigint' || Number.isInteger(value)) &&
+      (Number.isNaN(value) || (value >= min && value <= max))
+    if (!valid) {
+      let type = setter.replace(/^set/, '').toLowerCase()
+      throw new RangeError(`Value out of range for ${type}: ${value}.`)
+    }
+    this._reserve(size)
+    this._view[setter](this.position, value, littleEndian == null ? this.littleEndian : littleEndian)
+    this._advance(size)
+    return this
+  }
+}
+
+/**
+ * Convert byte data to a ByteSequence, without copying if possible.
+ * @returns {ByteSequence} The bytes.
+ * @param {ArrayLike<number>|ArrayBuffer} bytes - The byte data.
+ * @private
+ */
+function toByteSequence (bytes) {
+  if (bytes instanceof ByteSequence) return bytes
+  if (bytes instanceof ArrayBuffer) return new ByteSequence(bytes)
+  if (ArrayBuffer.isView(bytes)) {
+    return new ByteSequence(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  }
+  return ByteSequence.from(bytes)
+}
+
+/**
+ * Read a byte length prefix.
+ * @returns {number} The length.
+ * @param {ByteReader} reader - The reader to read from.
+ * @param {LengthPrefix} prefix - The prefix format.
+ * @throws {RangeError} If the prefix format is unknown.
+ * @private
+ */
+function readLengthPrefix (reader, prefix) {
+  switch (prefix) {
+    case 'uint8': return reader.readUint8()
+    case 'uint16': return reader.readUint16()
+    case 'uint32': return reader.readUint32()
+    case 'varuint': return reader.readVarUint()
+    default: throw new RangeError(`Unknown length prefix format: '${prefix}'.`)
+  }
+}
+
+/**
+ * Write a byte length prefix.
+ * @param {ByteWriter} writer - The writer to write to.
+ * @param {LengthPrefix} prefix - The prefix format.
+ * @param {number} length - The length to write.
+ * @throws {RangeError} If the prefix format is unknown, or the length does not fit it.
+ * @private
+ */
+function writeLengthPrefix (writer, prefix, length) {
+  switch (prefix) {
+    case 'uint8': return writer.writeUint8(length)
+    case 'uint16': return writer.writeUint16(length)
+    case 'uint32': return writer.writeUint32(length)
+    case 'varuint': return writer.writeVarUint(length)
+    default: throw new RangeError(`Unknown length prefix format: '${prefix}'.`)
+  }
+}
+
+/**
+ * Canonical names of the encodings supported by {@link ByteSequence#toString},
+ * {@link ByteSequence.fromString} and {@link ByteSequence#detectEncoding}.
+ * Labels are matched case insensitively and may be any of the aliases in brackets:
+ *
+ * - 'utf-8' ['utf8', 'unicode-1-1-utf-8']
+ * - 'latin1' ['iso-8859-1', 'iso8859-1', 'l1'] – strict ISO 8859-1, i.e. 0x80–0x9F are C1 controls
+ * - 'windows-1252' ['cp1252', 'x-cp1252']
+ * - 'utf-16le' ['utf16le', 'utf-16', 'ucs-2']
+ * - 'utf-16be' ['utf16be']
+ * @typedef {string} Encoding
+ */
+
+/**
+ * Encoding label aliases, mapped to their canonical name.
+ * @private
+ */
+const encodingAliases = {
+  'utf8': 'utf-8',
+  'unicode-1-1-utf-8': 'utf-8',
+  'iso-8859-1': 'latin1',
+  'iso8859-1': 'latin1',
+  'l1': 'latin1',
+  'cp1252': 'windows-1252',
+  'x-cp1252': 'windows-1252',
+  'utf16le': 'utf-16le',
+  'utf-16': 'utf-16le',
+  'ucs-2': 'utf-16le',
+  'utf16be': 'utf-16be'
+}
+
+/**
+ * Get the canonical name of an encoding label.
+ * @returns {Encoding} The canonical encoding name.
+ * @param {string} label - The encoding name or alias.
+ * @throws {RangeError} If the encoding is not supported.
+ * @private
+ */
+function canonicalEncoding (label) {
+  const name = `${label}`.trim().toLowerCase()
+  const canonical = encodingAliases[name] || name
+  if (!Object.prototype.hasOwnProperty.call(charsets, canonical)) {
+    throw new RangeError(`Unsupported encoding: '${label}'.`)
+  }
+  return canonical
+}
+
+/**
+ * Convert an array of UTF-16 code units to a string, in chunks.
+ * @returns {string} The string.
+ * @param {Array.<number>} units - The UTF-16 code units.
+ * @private
+ */
+function fromCodeUnits (units) {
+  const parts = []
+  for (let pos = 0; pos < units.length; pos += chunkSize) {
+    parts.push(String.fromCharCode(...units.slice(pos, pos + chunkSize)))
+  }
+  return parts.join('')
+}
+
+/**
+ * Windows-1252 characters for bytes 0x80–0x9F; the five bytes left undefined
+ * by the code page map to their C1 control, as in the WHATWG Encoding Standard.
+ * @private
+ */
+const windows1252High = [
+  0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+  0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+  0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+]
+
+/**
+ * Create a single byte charset codec.
+ * @returns {object} The charset codec.
+ * @param {string} name - The charset name, for error messages.
+ * @param {function(number): number} toChar - Maps a byte to its character code.
+ * @private
+ */
+function singleByteCharset (name, toChar) {
+  const toByte = new Map()
+  for (let byte = 0; byte < 256; byte++) toByte.set(toChar(byte), byte)
+
+  return {
+    bom: null,
+    decode: bytes => fromCodeUnits(Array.from(bytes, toChar)),
+    encode: (str, fatal) => {
+      const bytes = new ByteSequence(str.length)
+      for (let pos = 0; pos < str.length; pos++) {
+        let code = str.charCodeAt(pos)
+        if (!toByte.has(code)) {
+          if (fatal) {
+            let msg = `Character at position ${pos} not representable in ${name}: U+${code.toString(16).toUpperCase()}.`
+            throw new RangeError(msg)
+          }
+          code = 63 // '?'
+        }
+        bytes[pos] = toByte.get(code)
+      }
+      return bytes
+    }
+  }
+}
+
+/**
+ * Create a UTF-16 charset codec.
+ * @returns {object} The charset codec.
+ * @param {boolean} littleEndian - Whether to use little endian byte order.
+ * @private
+ */
+function utf16Charset (littleEndian) {
+  const name = littleEndian ? 'UTF-16LE' : 'UTF-16BE'
+  const [lo, hi] = littleEndian ? [0, 1] : [1, 0]
+
+  return {
+    bom: littleEndian ? [255, 254] : [254, 255],
+    decode: (bytes, fatal) => {
+      const units = []
+      const fail = msg => {
+        if (fatal) throw new RangeError(msg)
+        units.push(0xFFFD)
+      }
+
+      const end = bytes.length - (bytes.length % 2)
+      for (let pos = 0; pos < end; pos += 2) {
+        let unit = bytes[pos + lo] | (bytes[pos + hi] << 8)
+        if (unit >= 0xD800 && unit <= 0xDBFF) { // high surrogate needs a low one
+          let next = pos + 2 < end ? bytes[pos + 2 + lo] | (bytes[pos + 2 + hi] << 8) : -1
+          if (next >= 0xDC00 && next <= 0xDFFF) {
+            units.push(unit, next)
+            pos += 2
+          } else {
+            fail(`Unpaired ${name} high surrogate at position ${pos}.`)
+          }
+        } else if (unit >= 0xDC00 && unit <= 0xDFFF) {
+          fail(`Unpaired ${name} low surrogate at position ${pos}.`)
+        } else {
+          units.push(unit)
+        }
+      }
+      if (end < bytes.length) fail(`Truncated ${name} code unit at position ${end}.`)
+      return fromCodeUnits(units)
+    },
+    encode: str => {
+      const bytes = new ByteSequence(str.length * 2)
+      for (let pos = 0; pos < str.length; pos++) {
+        let unit = str.charCodeAt(pos)
+        bytes[pos * 2 + lo] = unit & 255
+        bytes[pos * 2 + hi] = unit >> 8
+      }
+      return bytes
+    }
+  }
+}
+
+/**
+ * Codecs for the supported encodings, keyed by canonical name.
+ * Each has a `bom` (null if the encoding has none) and `decode(bytes, fatal)`
+ * and `encode(str, fatal)` functions.
+ * @private
+ */
+const charsets = {
+  'utf-8': {
+    bom: [239, 187, 191],
+    decode: (bytes, fatal) => {
+      const decoder = new UTF8Decoder({ fatal: fatal })
+      return decoder.push(bytes) + decoder.flush()
+    },
+    encode: str => ByteSequence.fromUTF8String(str)
+  },
+  'latin1': singleByteCharset('Latin-1', byte => byte),
+  'windows-1252': singleByteCharset('Windows-1252', byte => {
+    return byte >= 128 && byte <= 159 ? windows1252High[byte - 128] : byte
+  }),
+  'utf-16le': utf16Charset(true),
+  'utf-16be': utf16Charset(false)
+}
+
+/**
+ * The base64 alphabet (RFC 4648 § 4).
+ * @private
+ */
+const base64Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * The base64url alphabet (RFC 4648 § 5).
+ * @private
+ */
+const base64URLAlphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+
+/**
+ * Encode bytes as base64 with a given alphabet.
+ * @returns {string} The encoded data.
+ * @param {ArrayLike<number>} bytes - The bytes to encode.
+ * @param {string} alphabet - The 64 character alphabet to use.
+ * @param {boolean} pad - Whether to add '=' padding.
+ * @private
+ */
+function encodeBase64 (bytes, alphabet, pad) {
+  const chars = []
+  for (let pos = 0; pos < bytes.length; pos += 3) {
+    let remain = Math.min(3, bytes.length - pos)
+    let triple = (bytes[pos] << 16) | ((bytes[pos + 1] || 0) << 8) | (bytes[pos + 2] || 0)
+    for (let idx = 0; idx <= remain; idx++) {
+      chars.push(alphabet[(triple >> (18 - idx * 6)) & 63])
+    }
+    if (pad) for (let idx = remain; idx < 3; idx++) chars.push('=')
+  }
+  return chars.join('')
+}
+
+/**
+ * Decode base64 data with a given alphabet.
+ * @returns {ByteSequence} The decoded bytes.
+ * @param {string} str - The encoded data.
+ * @param {string} alphabet - The 64 character alphabet to use.
+ * @param {boolean} strict - Whether to use strict mode.
+ * @param {boolean} padRequired - Whether strict mode requires padding.
+ * @throws {RangeError} On invalid data.
+ * @private
+ */
+function decodeBase64 (str, alphabet, strict, padRequired) {
+  const name = alphabet === base64URLAlphabet ? 'base64url' : 'base64'
+  const data = strict ? str : str.replace(/\s+/g, '')
+  const padding = data.match(/=*$/)[0].length
+  const length = data.length - padding
+
+  const invalid = data.slice(0, length).split('').findIndex(c => !alphabet.includes(c))
+  if (invalid > -1) {
+    let msg = `Invalid ${name} character at position ${invalid}: '${data[invalid]}'.`
+    throw new RangeError(msg)
+  }
+  if (padding > 0 || (strict && padRequired)) {
+    if (data.length % 4 !== 0 || padding > 2) {
+      throw new RangeError(`Invalid ${name} padding: length ${data.length}, ${padding} padding characters.`)
+    }
+  }
+  if (length % 4 === 1) {
+    throw new RangeError(`Invalid ${name} data length: ${length} characters.`)
+  }
+
+  const bytes = new ByteSequence(Math.floor(length * 3 / 4))
+  let bits = 0
+  let buffer = 0
+  let out = 0
+  for (let pos = 0; pos < length; pos++) {
+    let value = alphabet.indexOf(data[pos])
+    buffer = ((buffer << 6) | value) & 4095
+    bits += 6
+    if (bits >= 8) {
+      bits -= 8
+      bytes[out++] = buffer >> bits
+      buffer &= (1 << bits) - 1
+    }
+  }
+  if (strict && buffer !== 0) {
+    throw new RangeError(`Non-zero trailing bits in ${name} data.`)
+  }
+  return bytes
+}
+
+/**
+ * Lookup table for the reflected CRC-32 polynomial 0xEDB88320, built on first use.
+ * @private
+ */
+let crc32Table = null
+
+/**
+ * Compute the CRC-32 checksum of bytes.
+ * @returns {number} The checksum, as unsigned 32 bit integer.
+ * @param {ArrayLike<number>} bytes - The bytes to checksum.
+ * @private
+ */
+function crc32Of (bytes) {
+  if (crc32Table == null) {
+    crc32Table = new Uint32Array(256)
+    for (let idx = 0; idx < 256; idx++) {
+      let crc = idx
+      for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1
+      crc32Table[idx] = crc
+    }
+  }
+
+  let crc = 0xFFFFFFFF
+  for (let pos = 0; pos < bytes.length; pos++) {
+    crc = crc32Table[(crc ^ bytes[pos]) & 255] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * Pad a message to whole blocks the way SHA-1 and SHA-2 do (a 1 bit, zeros,
+ * and the big endian message length in bits, taking up 1/8 of a block).
+ * @returns {DataView} The padded message.
+ * @param {ArrayLike<number>} bytes - The message.
+ * @param {number} [blockSize=64] - The block size in bytes, 64 or 128.
+ * @private
+ */
+function shaPadded (bytes, blockSize) {
+  const size = blockSize || 64
+  const length = Math.ceil((bytes.length + 1 + size / 8) / size) * size
+  const padded = new Uint8Array(length)
+  padded.set(bytes)
+  padded[bytes.length] = 128
+  const view = new DataView(padded.buffer)
+  const bits = bytes.length * 8
+  view.setUint32(length - 8, Math.floor(bits / 4294967296))
+  view.setUint32(length - 4, bits >>> 0)
+  return view
+}
+
+/**
+ * Serialize 32 bit words as big endian bytes.
+ * @returns {ByteSequence} The bytes.
+ * @param {Array.<number>} words - The words.
+ * @private
+ */
+function fromWords (words) {
+  const bytes = new ByteSequence(words.length * 4)
+  const view = new DataView(bytes.buffer)
+  words.forEach((word, idx) => view.setUint32(idx * 4, word >>> 0))
+  return bytes
+}
+
+/**
+ * SHA-256 round constants.
+ * @private
+ */
+const sha256K = [
+  0x428A2F98, 0x71374491, 0xB5C0FBCF, 0xE9B5DBA5, 0x3956C25B, 0x59F111F1, 0x923F82A4, 0xAB1C5ED5,
+  0xD807AA98, 0x12835B01, 0x243185BE, 0x550C7DC3, 0x72BE5D74, 0x80DEB1FE, 0x9BDC06A7, 0xC19BF174,
+  0xE49B69C1, 0xEFBE4786, 0x0FC19DC6, 0x240CA1CC, 0x2DE92C6F, 0x4A7484AA, 0x5CB0A9DC, 0x76F988DA,
+  0x983E5152, 0xA831C66D, 0xB00327C8, 0xBF597FC7, 0xC6E00BF3, 0xD5A79147, 0x06CA6351, 0x14292967,
+  0x27B70A85, 0x2E1B2138, 0x4D2C6DFC, 0x53380D13, 0x650A7354, 0x766A0ABB, 0x81C2C92E, 0x92722C85,
+  0xA2BFE8A1, 0xA81A664B, 0xC24B8B70, 0xC76C51A3, 0xD192E819, 0xD6990624, 0xF40E3585, 0x106AA070,
+  0x19A4C116, 0x1E376C08, 0x2748774C, 0x34B0BCB5, 0x391C0CB3, 0x4ED8AA4A, 0x5B9CCA4F, 0x682E6FF3,
+  0x748F82EE, 0x78A5636F, 0x84C87814, 0x8CC70208, 0x90BEFFFA, 0xA4506CEB, 0xBEF9A3F7, 0xC67178F2
+]
+
+/**
+ * SHA-512 round constants, as [high, low] 32 bit word pairs.
+ * @private
+ */
+const sha512K = [
+  [0x428A2F98, 0xD728AE22], [0x71374491, 0x23EF65CD], [0xB5C0FBCF, 0xEC4D3B2F], [0xE9B5DBA5, 0x8189DBBC],
+  [0x3956C25B, 0xF348B538], [0x59F111F1, 0xB605D019], [0x923F82A4, 0xAF194F9B], [0xAB1C5ED5, 0xDA6D8118],
+  [0xD807AA98, 0xA3030242], [0x12835B01, 0x45706FBE], [0x243185BE, 0x4EE4B28C], [0x550C7DC3, 0xD5FFB4E2],
+  [0x72BE5D74, 0xF27B896F], [0x80DEB1FE, 0x3B1696B1], [0x9BDC06A7, 0x25C71235], [0xC19BF174, 0xCF692694],
+  [0xE49B69C1, 0x9EF14AD2], [0xEFBE4786, 0x384F25E3], [0x0FC19DC6, 0x8B8CD5B5], [0x240CA1CC, 0x77AC9C65],
+  [0x2DE92C6F, 0x592B0275], [0x4A7484AA, 0x6EA6E483], [0x5CB0A9DC, 0xBD41FBD4], [0x76F988DA, 0x831153B5],
+  [0x983E5152, 0xEE66DFAB], [0xA831C66D, 0x2DB43210], [0xB00327C8, 0x98FB213F], [0xBF597FC7, 0xBEEF0EE4],
+  [0xC6E00BF3, 0x3DA88FC2], [0xD5A79147, 0x930AA725], [0x06CA6351, 0xE003826F], [0x14292967, 0x0A0E6E70],
+  [0x27B70A85, 0x46D22FFC], [0x2E1B2138, 0x5C26C926], [0x4D2C6DFC, 0x5AC42AED], [0x53380D13, 0x9D95B3DF],
+  [0x650A7354, 0x8BAF63DE], [0x766A0ABB, 0x3C77B2A8], [0x81C2C92E, 0x47EDAEE6], [0x92722C85, 0x1482353B],
+  [0xA2BFE8A1, 0x4CF10364], [0xA81A664B, 0xBC423001], [0xC24B8B70, 0xD0F89791], [0xC76C51A3, 0x0654BE30],
+  [0xD192E819, 0xD6EF5218], [0xD6990624, 0x5565A910], [0xF40E3585, 0x5771202A], [0x106AA070, 0x32BBD1B8],
+  [0x19A4C116, 0xB8D2D0C8], [0x1E376C08, 0x5141AB53], [0x2748774C, 0xDF8EEB99], [0x34B0BCB5, 0xE19B48A8],
+  [0x391C0CB3, 0xC5C95A63], [0x4ED8AA4A, 0xE3418ACB], [0x5B9CCA4F, 0x7763E373], [0x682E6FF3, 0xD6B2B8A3],
+  [0x748F82EE, 0x5DEFB2FC], [0x78A5636F, 0x43172F60], [0x84C87814, 0xA1F0AB72], [0x8CC70208, 0x1A6439EC],
+  [0x90BEFFFA, 0x23631E28], [0xA4506CEB, 0xDE82BDE9], [0xBEF9A3F7, 0xB2C67915], [0xC67178F2, 0xE372532B],
+  [0xCA273ECE, 0xEA26619C], [0xD186B8C7, 0x21C0C207], [0xEADA7DD6, 0xCDE0EB1E], [0xF57D4F7F, 0xEE6ED178],
+  [0x06F067AA, 0x72176FBA], [0x0A637DC5, 0xA2C898A6], [0x113F9804, 0xBEF90DAE], [0x1B710B35, 0x131C471B],
+  [0x28DB77F5, 0x23047D84], [0x32CAAB7B, 0x40C72493], [0x3C9EBE0A, 0x15C9BEBC], [0x431D67C4, 0x9C100D4C],
+  [0x4CC5D4BE, 0xCB3E42B6], [0x597F299C, 0xFC657E2A], [0x5FCB6FAB, 0x3AD6FAEC], [0x6C44198C, 0x4A475817]
+]
+
+/**
+ * Hash functions available to {@link ByteSequence#hmac}, keyed by name.
+ * Each has a `digest(bytes)` function, and its `size` and `blockSize` in bytes.
+ * @private
+ */
+const digests = {
+  sha1: {
+    size: 20,
+    blockSize: 64,
+    digest: bytes => {
+      const view = shaPadded(bytes)
+      const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0]
+      const w = new Array(80)
+      const rotl = (x, n) => (x << n) | (x >>> (32 - n))
+
+      for (let block = 0; block < view.byteLength; block += 64) {
+        for (let t = 0; t < 16; t++) w[t] = view.getUint32(block + t * 4)
+        for (let t = 16; t < 80; t++) w[t] = rotl(w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16], 1)
+
+        let [a, b, c, d, e] = h
+        for (let t = 0; t < 80; t++) {
+          let f, k
+          if (t < 20) {
+            f = (b & c) | (~b & d)
+            k = 0x5A827999
+          } else if (t < 40) {
+            f = b ^ c ^ d
+            k = 0x6ED9EBA1
+          } else if (t < 60) {
+            f = (b & c) | (b & d) | (c & d)
+            k = 0x8F1BBCDC
+          } else {
+            f = b ^ c ^ d
+            k = 0xCA62C1D6
+          }
+          let temp = (rotl(a, 5) + f + e + k + w[t]) | 0
+          e = d
+          d = c
+          c = rotl(b, 30)
+          b = a
+          a = temp
+        }
+        h[0] = (h[0] + a) | 0
+        h[1] = (h[1] + b) | 0
+        h[2] = (h[2] + c) | 0
+        h[3] = (h[3] + d) | 0
+        h[4] = (h[4] + e) | 0
+      }
+      return fromWords(h)
+    }
+  },
+
+  sha256: {
+    size: 32,
+    blockSize: 64,
+    digest: bytes => {
+      const view = shaPadded(bytes)
+      const h = [
+        0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A,
+        0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19
+      ]
+      const w = new Array(64)
+      const rotr = (x, n) => (x >>> n) | (x << (32 - n))
+
+      for (let block = 0; block < view.byteLength; block += 64) {
+        for (let t = 0; t < 16; t++) w[t] = view.getUint32(block + t * 4)
+        for (let t = 16; t < 64; t++) {
+          let s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3)
+          let s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10)
+          w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0
+        }
+
+        let [a, b, c, d, e, f, g, hh] = h
+        for (let t = 0; t < 64; t++) {
+          let s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)
+          let ch = (e & f) ^ (~e & g)
+          let temp1 = (hh + s1 + ch + sha256K[t] + w[t]) | 0
+          let s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)
+          let maj = (a & b) ^ (a & c) ^ (b & c)
+          let temp2 = (s0 + maj) | 0
+          hh = g
+          g = f
+          f = e
+          e = (d + temp1) | 0
+          d = c
+          c = b
+          b = a
+          a = (temp1 + temp2) | 0
+        }
+        h[0] = (h[0] + a) | 0
+        h[1] = (h[1] + b) | 0
+        h[2] = (h[2] + c) | 0
+        h[3] = (h[3] + d) | 0
+        h[4] = (h[4] + e) | 0
+        h[5] = (h[5] + f) | 0
+        h[6] = (h[6] + g) | 0
+        h[7] = (h[7] + hh) | 0
+      }
+      return fromWords(h)
+    }
+  },
+
+  sha512: {
+    size: 64,
+    blockSize: 128,
+    digest: bytes => {
+      const view = shaPadded(bytes, 128)
+      // 64 bit words are pairs of 32 bit words, the high one first
+      const h = Int32Array.of(
+        0x6A09E667, 0xF3BCC908, 0xBB67AE85, 0x84CAA73B,
+        0x3C6EF372, 0xFE94F82B, 0xA54FF53A, 0x5F1D36F1,
+        0x510E527F, 0xADE682D1, 0x9B05688C, 0x2B3E6C1F,
+        0x1F83D9AB, 0xFB41BD6B, 0x5BE0CD19, 0x137E2179
+      )
+      const w = new Int32Array(160)
+      const carry = lo => Math.floor(lo / 4294967296)
+
+      for (let block = 0; block < view.byteLength; block += 128) {
+        for (let t = 0; t < 32; t++) w[t] = view.getInt32(block + t * 4)
+        for (let t = 32; t < 160; t += 2) {
+          let xh = w[t - 30]
+          let xl = w[t - 29]
+          let s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7)
+          let s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25))
+          let yh = w[t - 4]
+          let yl = w[t - 3]
+          let s1h = ((yh >>> 19) | (yl << 13)) ^ ((yl >>> 29) | (yh << 3)) ^ (yh >>> 6)
+          let s1l = ((yl >>> 19) | (yh << 13)) ^ ((yh >>> 29) | (yl << 3)) ^ ((yl >>> 6) | (yh << 26))
+          let lo = (w[t - 31] >>> 0) + (s0l >>> 0) + (w[t - 13] >>> 0) + (s1l >>> 0)
+          w[t] = w[t - 32] + s0h + w[t - 14] + s1h + carry(lo)
+          w[t + 1] = lo
+        }
+
+        let [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl] = h
+        for (let t = 0; t < 80; t++) {
+          let s1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23))
+          let s1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23))
+          let chh = (eh & fh) ^ (~eh & gh)
+          let chl = (el & fl) ^ (~el & gl)
+          let lo = (hl >>> 0) + (s1l >>> 0) + (chl >>> 0) + (sha512K[t][1] >>> 0) + (w[t * 2 + 1] >>> 0)
+          let temp1h = (hh + s1h + chh + sha512K[t][0] + w[t * 2] + carry(lo)) | 0
+          let temp1l = lo | 0
+          let s0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25))
+          let s0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25))
+          let majh = (ah & bh) ^ (ah & ch) ^ (bh & ch)
+          let majl = (al & bl) ^ (al & cl) ^ (bl & cl)
+          hh = gh
+          hl = gl
+          gh = fh
+          gl = fl
+          fh = eh
+          fl = el
+          lo = (dl >>> 0) + (temp1l >>> 0)
+          eh = (dh + temp1h + carry(lo)) | 0
+          el = lo | 0
+          dh = ch
+          dl = cl
+          ch = bh
+          cl = bl
+          bh = ah
+          bl = al
+          lo = (temp1l >>> 0) + (s0l >>> 0) + (majl >>> 0)
+          ah = (temp1h + s0h + majh + carry(lo)) | 0
+          al = lo | 0
+        }
+        const words = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl]
+        for (let idx = 0; idx < 16; idx += 2) {
+          let lo = (h[idx + 1] >>> 0) + (words[idx + 1] >>> 0)
+          h[idx] = h[idx] + words[idx] + carry(lo)
+          h[idx + 1] = lo
+        }
+      }
+      return fromWords(Array.from(h))
+    }
+  }
+}
+
+/**
+ * Compute the Adler-32 checksum of bytes.
+ * @returns {number} The checksum, as unsigned 32 bit integer.
+ * @param {ArrayLike<number>} bytes - The bytes to checksum.
+ * @private
+ */
+function adler32Of (bytes) {
+  let a = 1
+  let b = 0
+  for (let pos = 0; pos < bytes.length;) {
+    let end = Math.min(pos + 5552, bytes.length) // defer modulo while sums fit 32 bits
+    for (; pos < end; pos++) {
+      a += bytes[pos]
+      b += a
+    }
+    a %= 65521
+    b %= 65521
+  }
+  return ((b << 16) | a) >>> 0
+}
+
+/**
+ * DEFLATE length and distance code base values and extra bits (RFC 1951 § 3.2.5).
+ * @private
+ */
+const inflateTables = {
+  lengthBase: [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258],
+  lengthExtra: [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+  distBase: [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577],
+  distExtra: [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13],
+  codeLengthOrder: [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]
+}
+
+/**
+ * Build a canonical Huffman decoding table from code lengths.
+ * @returns {object} The table, with symbol `counts` per length and `symbols` in code order.
+ * @param {Array.<number>} lengths - The code length of each symbol (0 if unused).
+ * @private
+ */
+function huffmanTable (lengths) {
+  const counts = new Uint16Array(16)
+  const offsets = new Uint16Array(16)
+  const symbols = new Uint16Array(lengths.length)
+  lengths.forEach(length => counts[length]++)
+  counts[0] = 0
+  for (let len = 1; len < 16; len++) offsets[len] = offsets[len - 1] + counts[len - 1]
+  lengths.forEach((length, symbol) => {
+    if (length !== 0) symbols[offsets[length]++] = symbol
+  })
+  return { counts: counts, symbols: symbols }
+}
+
+/**
+ * Fixed Huffman tables for block type 1, built on first use.
+ * @private
+ */
+let fixedHuffman = null
+
+/**
+ * Decompress raw DEFLATE data.
+ * Adapted from Mark Adler’s `puff.c` reference decoder in the zlib distribution.
+ * @returns {{data: ByteSequence, end: number}} The decompressed data and the
+ * position of the first byte after the compressed data.
+ * @param {ArrayLike<number>} bytes - The compressed data.
+ * @param {number} start - The position of the compressed data in `bytes`.
+ * @throws {RangeError} On corrupt or truncated data.
+ * @private
+ */
+function inflateRaw (bytes, start) {
+  let pos = start
+  let bitBuffer = 0
+  let bitCount = 0
+  let out = new Uint8Array(Math.max(bytes.length * 4, 1024))
+  let outPos = 0
+
+  const bits = count => {
+    while (bitCount < count) {
+      if (pos >= bytes.length) throw new RangeError('Truncated DEFLATE data.')
+      bitBuffer |= bytes[pos++] << bitCount
+      bitCount += 8
+    }
+    const value = bitBuffer & ((1 << count) - 1)
+    bitBuffer >>>= count
+    bitCount -= count
+    return value
+  }
+  const reserve = count => {
+    if (outPos + count > out.length) {
+      let grown = new Uint8Array(Math.max(out.length * 2, outPos + count))
+      grown.set(out)
+      out = grown
+    }
+  }
+  const decode = table => {
+    let code = 0
+    let first = 0
+    let index = 0
+    for (let len = 1; len < 16; len++) {
+      code |= bits(1)
+      let count = table.counts[len]
+      if (code - count < first) return table.symbols[index + (code - first)]
+      index += count
+      first = (first + count) << 1
+      code <<= 1
+    }
+    throw new RangeError('Invalid DEFLATE Huffman code.')
+  }
+
+  let final
+  do {
+    final = bits(1)
+    const type = bits(2)
+    if (type === 0) { // stored
+      bitBuffer = bitCount = 0
+      if (pos + 4 > bytes.length) throw new RangeError('Truncated DEFLATE data.')
+      const length = bytes[pos] | (bytes[pos + 1] << 8)
+      if ((length ^ 65535) !== (bytes[pos + 2] | (bytes[pos + 3] << 8))) {
+        throw new RangeError('Invalid DEFLATE stored block length.')
+      }
+      pos += 4
+      if (pos + length > bytes.length) throw new RangeError('Truncated DEFLATE data.')
+      reserve(length)
+      for (let idx = 0; idx < length; idx++) out[outPos++] = bytes[pos++]
+      continue
+    }
+
+    let lengthTable, distTable
+    if (type === 1) {
+      if (fixedHuffman == null) {
+        let lengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280)
+        fixedHuffman = [huffmanTable(lengths), huffmanTable(new Array(30).fill(5))]
+      }
+      lengthTable = fixedHuffman[0]
+      distTable = fixedHuffman[1]
+    } else if (type === 2) {
+      const literals = bits(5) + 257
+      const distances = bits(5) + 1
+      const codes = bits(4) + 4
+      const codeLengths = new Array(19).fill(0)
+      for (let idx = 0; idx < codes; idx++) {
+        codeLengths[inflateTables.codeLengthOrder[idx]] = bits(3)
+      }
+      const codeTable = huffmanTable(codeLengths)
+
+      const lengths = []
+      while (lengths.length < literals + distances) {
+        let symbol = decode(codeTable)
+        if (symbol < 16) {
+          lengths.push(symbol)
+        } else {
+          let repeat
+          let value = 0
+          if (symbol === 16) {
+            if (lengths.length === 0) throw new RangeError('Invalid DEFLATE code length repeat.')
+            value = lengths[lengths.length - 1]
+            repeat = 3 + bits(2)
+          } else if (symbol === 17) {
+            repeat = 3 + bits(3)
+          } else {
+            repeat = 11 + bits(7)
+          }
+          if (lengths.length + repeat > literals + distances) {
+            throw new RangeError('Too many DEFLATE code lengths.')
+          }
+          for (; repeat > 0; repeat--) lengths.push(value)
+        }
+      }
+      lengthTable = huffmanTable(lengths.slice(0, literals))
+      distTable = huffmanTable(lengths.slice(literals))
+    } else {
+      throw new RangeError('Invalid DEFLATE block type.')
+    }
+
+    for (;;) {
+      let symbol = decode(lengthTable)
+      if (symbol < 256) {
+        reserve(1)
+        out[outPos++] = symbol
+      } else if (symbol === 256) {
+        break
+      } else {
+        symbol -= 257
+        if (symbol >= 29) throw new RangeError('Invalid DEFLATE length code.')
+        const length = inflateTables.lengthBase[symbol] + bits(inflateTables.lengthExtra[symbol])
+        const distCode = decode(distTable)
+        if (distCode >= 30) throw new RangeError('Invalid DEFLATE distance code.')
+        const dist = inflateTables.distBase[distCode] + bits(inflateTables.distExtra[distCode])
+        if (dist > outPos) throw new RangeError('DEFLATE distance too far back.')
+        reserve(length)
+        for (let idx = 0; idx < length; idx++, outPos++) out[outPos] = out[outPos - dist]
+      }
+    }
+  } while (!final)
+
+  return { data: new ByteSequence(out.buffer.slice(0, outPos)), end: pos }
+}
+
+/**
+ * Entry types for tar type flags.
+ * @private
+ */
+const tarTypes = {
+  '0': 'file',
+  '7': 'file',
+  '1': 'link',
+  '2': 'symlink',
+  '5': 'directory'
+}
+
+/**
+ * Parse pax extended header records (`<length> <key>=<value>\n`).
+ * Only the `path`, `linkpath` and `size` keys are kept.
+ * @returns {object} The recognised records.
+ * @param {string} text - The extended header data.
+ * @private
+ */
+function parsePaxRecords (text) {
+  const records = {}
+  const matches = text.matchAll(/^\d+ (path|linkpath|size)=(.*)$/gm)
+  for (let [, key, value] of matches) {
+    records[key] = key === 'size' ? Number.parseInt(value, 10) : value
   }
+  return records
 }
@@ -5,7 +5,7 @@
  * Internationalization helpers for Scriptable.
  * Source master repository on {@link https://github.com/kopischke/scriptable|GitHub}).
  * @author Martin Kopischke <martin@kopischke.net>
- * @version 1.2.3
+ * @version 1.7.0
  * @license MIT
  * @module
  */
@@ -16,13 +16,16 @@
  * Localization is based on a set of template strings for different
  * languages; the nearest match(es) to the device language and the fallback
  * are merged into a set of translated strings. Dynamic insertion into these
- * is possible by using the placeholder syntax `${key[:default text]}`.
+ * is possible by using the placeholder syntax `%{key[:default text]}`;
+ * plural and gender variants use ICU MessageFormat style `plural` and `select`
+ * constructs (see {@link LocalizedStrings}).
  *
  * @example
  * const strings = {
  *   en: {
  *     promptTitle: 'Password',
- *     promptMessage: 'Please enter your password for use by %{source:the source app}.'
+ *     promptMessage: 'Please enter your password for use by %{source:the source app}.',
+ *     promptCount: '{count, plural, =0 {No passwords} one {# password} other {# passwords}} saved.'
  *   },
  *   de: {
  *     promptTitle: 'Passwort',
@@ -34,53 +37,296 @@
  * const l8n = new Localization(strings)
  * let msg = l8n.string('promptMessage', {source: 'Scriptable'})
  */
-module.exports.Localization = class Localization {
+const Localization = module.exports.Localization = class Localization {
   /**
    * Dictionary of localized string templates.
    * Named placeholders with the syntax %{name[:default text]} can be specified
    * and will be replaced by the dictionary value matching `name` in {@link Localization#string};
    * umatched placeholders will be replaced by `default text` (if specified).
+   *
+   * Placeholders can pipe their value through formatters, using the Localization’s
+   * {@link Localization#locale}: `%{name[:default text]|formatter[:argument]…}`,
+   * i.e. `%{updated|date:short}` or `%{incidence:?|number:1}`. Built in formatters are:
+   *
+   * - `number[:fraction digits]` and `percent[:fraction digits]` (for fractions of 1)
+   * - `date[:style]`, `time[:style]` and `datetime[:style]`, with style one of
+   *   'short', 'medium' (the default), 'long' or 'full'
+   * - `relative`, for a date relative to now (i.e. '3 hours ago')
+   *
+   * Invalid formatter arguments are ignored, as if none were given. As `|` starts
+   * the formatter list, default texts cannot contain it (nor `}`).
+   * More formatters can be added with {@link Localization#registerFormatter}.
+   * A literal `%{` is written as `%%{`.
+   *
+   * ICU MessageFormat style constructs select a variant by a dictionary value:
+   *
+   * - `{name, plural, [offset:n] =0 {…} one {…} other {…}}` selects by exact value
+   *   or by the CLDR plural category of the value (minus `offset`) in the language
+   *   of the template; `#` in the selected variant is replaced by that number.
+   * - `{name, select, female {…} male {…} other {…}}` selects by string value.
+   *
+   * Variants may contain placeholders and nested constructs; `other` is used
+   * when no variant matches or the value is missing.
    * @typedef {object.<string, string>} LocalizedStrings
    */
 
   /**
-   * Creates a localisation string set for the device language.
-   * The set is merged, in order of descending precedence, from:
+   * Creates a localisation string set for the device languages.
    *
-   * - entries for the compound IETF language tag (i.e. 'de-AT')
-   * - entries for the ISO 639 language tag (i.e. 'de')
-   * - entries for 'en-US'
-   * - entries for 'en'
+   * Languages are negotiated by RFC 4647 lookup: each requested language tag,
+   * in order of preference, is progressively truncated (i.e. 'zh-Hant-TW',
+   * 'zh-Hant', 'zh'); before the bare language, regional siblings with the same
+   * language and script are tried (i.e. 'pt-BR', 'pt-PT', 'pt'). The `fallbacks`
+   * are looked up the same way after all requested languages. The set is merged
+   * from all matching entries, in order of descending precedence along that chain.
    *
    * @param {object.<LocalizedStrings>} strings - Localised strings, keyed by language code.
-   * @property {string} language - The device language tag the localisation tries to match.
+   * @param {object} [options] - Negotiation options.
+   * @param {string|Array.<string>} [options.locale] - Language tag(s) to use instead of the
+   * device’s preferred languages.
+   * @param {Array.<string>} [options.fallbacks=['en-US', 'en']] - Language tags to fall back on.
+   * @param {boolean|string} [options.strict=false] - How {@link Localization#string} handles
+   * keys missing from the merged set: `false` to silently use the key, 'log' to log a warning,
+   * `true` or 'throw' to throw a `ReferenceError`.
+   * @property {string} language - The preferred language tag the localisation tries to match.
+   * @property {Array.<string>} languages - All requested language tags, in order of preference.
+   * @property {Array.<string>} chain - The `strings` keys merged, in order of descending precedence.
+   * @property {string} locale - The locale used for formatting: the first requested language
+   * sharing the language of the best catalog match, else that match itself.
    * @property {LocalizedStrings} strings - The merged set of localised string templates.
-   * @see {@link https://en.wikipedia.org/wiki/Language_code|“Language Code” on Wikipedia}
+   * @see {@link https://tools.ietf.org/html/rfc4647#section-3.4|RFC 4647 § 3.4 “Lookup”}
    */
-  constructor (strings) {
-    // As of iOS 12, this is the shortest IETF language tag applicable.
-    this.language = Device.language()
-    let lang = this.language
-    let base = this.language.split('-')[0]
+  constructor (strings, options) {
+    const opts = options || {}
+    if (opts.locale != null) {
+      this.languages = [].concat(opts.locale)
+    } else if (typeof Device.preferredLanguages === 'function') {
+      this.languages = Device.preferredLanguages()
+    } else {
+      // As of iOS 12, this is the shortest IETF language tag applicable.
+      this.languages = [Device.language()]
+    }
+    this.language = this.languages[0]
+    this.strict = opts.strict === true ? 'throw' : opts.strict || false
 
     // Baseline and fallback is (US) English.
-    let langFallback = 'en-US'
-    let baseFallback = 'en'
+    const fallbacks = opts.fallbacks || ['en-US', 'en']
+    this.chain = negotiate(this.languages.concat(fallbacks), Object.keys(strings))
+    const best = this.chain.length ? this.chain[0] : this.language
+    const baseOf = tag => tag.split(/[-_]/)[0].toLowerCase()
+    this.locale = this.languages.find(tag => baseOf(tag) === baseOf(best)) || best
+    this.formatters = Object.assign({}, formatters)
 
-    this.strings = strings[baseFallback] || {}
-    if (strings[langFallback]) {
-      this.strings = Object.assign(this.strings, strings[langFallback])
-    }
+    // Track the language each template comes from, for its plural rules.
+    this.strings = {}
+    this._languages = {}
+    this.chain.slice().reverse().forEach(tag => {
+      Object.assign(this.strings, strings[tag])
+      Object.keys(strings[tag]).forEach(key => { this._languages[key] = tag })
+    })
+
+    // Keep the catalogs and requested keys for Localization#audit.
+    this._catalogs = strings
+    this._requested = new Set()
+  }
 
-    // Prefer strings from the language group (e.g 'fr') …
-    if (base !== baseFallback && strings[base]) {
-      this.strings = Object.assign(this.strings, strings[base])
+  /**
+   * Result of a translation catalog validation.
+   * @typedef {object} CatalogReport
+   * @property {boolean} valid - Whether no problems were found.
+   * @property {object.<string, Array.<string>>} missing - Keys missing per language tag;
+   * regional catalogs whose base language has a catalog are overrides and not checked.
+   * @property {Array.<string>} unused - Defined keys not in `options.used` (empty if not given).
+   * @property {Array.<string>} undefined - Keys in `options.used` not defined in any catalog.
+   * @property {Array.<{key: string, language: string, missing: Array.<string>, extra: Array.<string>}>} placeholders -
+   * Translations whose placeholder names differ from the reference translation.
+   */
+
+  /**
+   * Validate a set of translation catalogs.
+   *
+   * @example
+   * const report = Localization.validate(strings, { used: ['promptTitle', 'promptOK'] })
+   * if (!report.valid) console.warn(JSON.stringify(report, null, 2))
+   * @returns {CatalogReport} The validation report.
+   * @param {object.<LocalizedStrings>} strings - Localised strings, keyed by language code.
+   * @param {object} [options] - Validation options.
+   * @param {string} [options.reference] - The language tag whose placeholders translations
+   * should match; defaults to 'en' if present, else the first catalog.
+   * @param {Array.<string>} [options.used] - The keys the script looks up.
+   */
+  static validate (strings, options) {
+    const opts = options || {}
+    const tags = Object.keys(strings)
+    const reference = opts.reference || (tags.includes('en') ? 'en' : tags[0])
+    const report = { valid: true, missing: {}, unused: [], undefined: [], placeholders: [] }
+
+    const defined = new Set()
+    tags.forEach(tag => Object.keys(strings[tag]).forEach(key => defined.add(key)))
+
+    tags.forEach(tag => {
+      let base = tag.split(/[-_]/)[0]
+      if (base !== tag && strings[base] != null) return // regional override
+      let missing = [...defined].filter(key => !Object.prototype.hasOwnProperty.call(strings[tag], key))
+      if (missing.length) report.missing[tag] = missing
+    })
+
+    if (opts.used != null) {
+      const used = new Set(opts.used)
+      report.unused = [...defined].filter(key => !used.has(key))
+      report.undefined = [...used].filter(key => !defined.has(key))
     }
 
-    // … or, even better, from the precise language (e.g. 'fr-CA').
-    if (lang !== langFallback && lang !== base && strings[lang]) {
-      this.strings = Object.assign(this.strings, strings[lang])
+    const referenceStrings = strings[reference] || {}
+    Object.keys(referenceStrings).forEach(key => {
+      const expected = placeholderNames(referenceStrings[key])
+      tags.filter(tag => tag !== reference && Object.prototype.hasOwnProperty.call(strings[tag], key)).forEach(tag => {
+        const actual = placeholderNames(strings[tag][key])
+        const missing = expected.filter(name => !actual.includes(name))
+        const extra = actual.filter(name => !expected.includes(name))
+        if (missing.length || extra.length) {
+          report.placeholders.push({ key: key, language: tag, missing: missing, extra: extra })
+        }
+      })
+    })
+
+    report.valid = !Object.keys(report.missing).length && !report.unused.length &&
+      !report.undefined.length && !report.placeholders.length
+    return report
+  }
+
+  /**
+   * Validate the catalogs this Localization was created from, treating all keys
+   * looked up through {@link Localization#string} so far as used.
+   * Call this at the end of a script run to find typos and dead strings.
+   * @returns {CatalogReport} The validation report.
+   * @param {object} [options] - Validation options, as for {@link Localization.validate}.
+   */
+  audit (options) {
+    const opts = Object.assign({ used: [...this._requested] }, options)
+    return Localization.validate(this._catalogs, opts)
+  }
+
+  /**
+   * Create a Localization from translation catalog files merged with inline strings.
+   *
+   * Every `<tag>.json` and `<tag>.po` file in `directory` is loaded as catalog
+   * for the language tag `<tag>` (i.e. `de.po`, `pt-BR.json`); file entries take
+   * precedence over inline entries for the same language and key.
+   * JSON catalogs are flat objects of {@link LocalizedStrings}; for gettext
+   * catalogs, see {@link Localization.parsePO}.
+   *
+   * @example
+   * const fm = FileManager.iCloud()
+   * const dir = fm.joinPath(fm.documentsDirectory(), 'i18n/COVID-19-Inzidenz')
+   * const l8n = await Localization.load(dir, strings)
+   * @returns {Promise<Localization>} The Localization.
+   * @param {string} directory - The path of the catalog directory.
+   * @param {object.<LocalizedStrings>} [strings] - Inline localised strings, keyed by language code.
+   * @param {object} [options] - Options for the constructor, plus the following.
+   * @param {FileManager} [options.fileManager=FileManager.local()] - The FileManager to read files with.
+   */
+  static async load (directory, strings, options) {
+    const opts = options || {}
+    const catalogs = await Localization.readCatalogs(directory, opts.fileManager)
+    const merged = {}
+    new Set(Object.keys(strings || {}).concat(Object.keys(catalogs))).forEach(tag => {
+      merged[tag] = Object.assign({}, (strings || {})[tag], catalogs[tag])
+    })
+    return new Localization(merged, opts)
+  }
+
+  /**
+   * Read all JSON and gettext translation catalog files in a directory.
+   * @returns {Promise<object.<LocalizedStrings>>} The catalogs, keyed by language tag.
+   * @param {string} directory - The path of the catalog directory.
+   * @param {FileManager} [fileManager=FileManager.local()] - The FileManager to read files with.
+   * @throws {SyntaxError} If a catalog file cannot be parsed.
+   */
+  static async readCatalogs (directory, fileManager) {
+    const fm = fileManager || FileManager.local()
+    const catalogs = {}
+    if (!fm.fileExists(directory)) return catalogs
+
+    for (let name of fm.listContents(directory).sort()) {
+      const match = name.match(/^(.+)\.(json|po)$/i)
+      if (match == null) continue
+
+      const path = fm.joinPath(directory, name)
+      if (fm.isFileStoredIniCloud(path) && !fm.isFileDownloaded(path)) {
+        await fm.downloadFileFromiCloud(path)
+      }
+      const [, tag, format] = match
+      const text = fm.readString(path)
+      let catalog
+      try {
+        catalog = format.toLowerCase() === 'json' ? JSON.parse(text) : Localization.parsePO(text, tag)
+      } catch (e) {
+        throw new SyntaxError(`Invalid translation catalog '${name}': ${e.message}`)
+      }
+      catalogs[tag] = Object.assign(catalogs[tag] || {}, catalog)
     }
+    return catalogs
+  }
+
+  /**
+   * Parse a gettext `.po` catalog into localized string templates.
+   *
+   * `msgid` is used as key and `msgstr` as template; untranslated and fuzzy
+   * entries are skipped. Entries with a `msgctxt` are keyed by context and
+   * `msgid` (see {@link Localization#contextString}). Plural entries become
+   * `{count, plural, …}` constructs keyed by the singular `msgid`, with the
+   * `msgstr[n]` forms assigned to CLDR categories by evaluating the catalog’s
+   * `Plural-Forms` header.
+   * @returns {LocalizedStrings} The templates, keyed by message id.
+   * @param {string} text - The catalog source.
+   * @param {string} tag - The language tag of the catalog, for plural categories.
+   * @param {object} [options] - Parsing options.
+   * @param {string} [options.pluralArgument='count'] - The placeholder name plural entries select by.
+   * @throws {SyntaxError} On malformed catalogs.
+   * @see {@link https://www.gnu.org/software/gettext/manual/html_node/PO-Files.html|“The Format of PO Files” in the GNU gettext manual}
+   */
+  static parsePO (text, tag, options) {
+    const argument = (options && options.pluralArgument) || 'count'
+    const entries = parsePOEntries(text)
+    const header = entries.find(entry => entry.msgid === '' && entry.msgctxt == null)
+    const formula = pluralFormula(header != null ? header.msgstr[0] : '')
+
+    const strings = {}
+    entries.forEach(entry => {
+      if (entry.msgid === '' || entry.fuzzy) return
+      const key = entry.msgctxt != null ? contextKey(entry.msgctxt, entry.msgid) : entry.msgid
+      if (entry.msgid_plural == null) {
+        if (entry.msgstr[0]) strings[key] = entry.msgstr[0]
+      } else if (entry.msgstr.some(form => form)) {
+        strings[key] = pluralTemplate(entry.msgstr, formula, tag, argument)
+      }
+    })
+    return strings
+  }
+
+  /**
+   * Placeholder value formatting function.
+   * @typedef {function} Formatter
+   * @returns {string} The formatted value.
+   * @param {*} value - The placeholder value.
+   * @param {?string} argument - The formatter argument, if any.
+   * @param {string} locale - The Localization’s {@link Localization#locale}.
+   */
+
+  /**
+   * Register a formatter for use in placeholders, replacing any of the same name.
+   *
+   * @example
+   * l8n.registerFormatter('upper', (value, arg, locale) => `${value}`.toLocaleUpperCase(locale))
+   * let msg = l8n.string('greeting', {name: 'Ann'}) // 'Hello, %{name|upper}!' → 'Hello, ANN!'
+   * @returns {Localization} The Localization, for chaining.
+   * @param {string} name - The formatter name used in placeholders.
+   * @param {Formatter} formatter - The formatting function.
+   */
+  registerFormatter (name, formatter) {
+    this.formatters[name] = formatter
+    return this
   }
 
   /**
@@ -89,24 +335,524 @@ module.exports.Localization = class Localization {
    * @param {string} key - the template key of the string to localize
    * @param {object} replacements - A dictionary of placeholder replacements values.
    * @default {string} The literal `key`.
+   * @throws {ReferenceError} If `key` is missing and the Localization is strict.
    * @see LocalizedStrings
    */
   string (key, replacements) {
-    let str = this.strings[key] || key
+    this._requested.add(key)
+    const known = Object.prototype.hasOwnProperty.call(this.strings, key)
+    if (!known && this.strict) {
+      let msg = `Missing localized string for key '${key}' in ${this.chain.join(', ') || 'empty catalogs'}.`
+      if (this.strict !== 'log') throw new ReferenceError(msg)
+      console.warn(msg)
+    }
+
+    let str = (known && this.strings[key]) || key
+    if (str.includes('{')) {
+      let tag = this._languages[key] || this.language
+      str = formatMessage(str, replacements || {}, tag, this.locale)
+    }
     if (str.includes('%{')) {
-      if (replacements != null) {
-        // replace matching placeholders
-        str = Object.keys(replacements).reduce((acc, cur) => {
-          if (replacements[cur] != null) {
-            let regex = new RegExp(`%\\{${cur}(:[^}]+)?\\}`, 'g')
-            acc = acc.replace(regex, replacements[cur])
-          }
-          return acc
-        }, str)
-      }
-      // replace unmatched placeholders with provided defaults.
-      str = str.replace(/%\{[^:}]+:([^}]+)\}/g, '$1')
+      const values = replacements || {}
+      str = str.replace(/%(%?)\{([^:|}]+)(?::([^|}]+))?((?:\|[^|}]+)*)\}/g, (match, escaped, name, fallback, pipes) => {
+        if (escaped) return match.slice(1)
+        if (values[name] != null) return this._format(values[name], pipes)
+        // replace unmatched placeholders with provided defaults.
+        return fallback != null ? fallback : match
+      })
     }
     return str
   }
+
+  /**
+   * Pipe a placeholder value through formatters.
+   * @returns {string} The formatted value.
+   * @param {*} value - The placeholder value.
+   * @param {string} pipes - The formatter list, i.e. '|number:1'.
+   * @throws {ReferenceError} On unknown formatters, if the Localization is strict.
+   * @private
+   */
+  _format (value, pipes) {
+    return pipes.split('|').slice(1).reduce((acc, pipe) => {
+      const [name, ...args] = pipe.trim().split(':')
+      const formatter = this.formatters[name]
+      if (formatter == null) {
+        let msg = `Unknown placeholder formatter '${name}'.`
+        if (this.strict && this.strict !== 'log') throw new ReferenceError(msg)
+        console.warn(msg)
+        return acc
+      }
+      return formatter(acc, args.length ? args.join(':') : null, this.locale)
+    }, value).toString()
+  }
+
+  /**
+   * Get a localized string for a key in a disambiguating context, like gettext’s
+   * `pgettext`. Falls back to the literal `key`, not the context.
+   * @returns {string} The localized string with placeholders replaced.
+   * @param {string} context - The message context (`msgctxt` in gettext catalogs).
+   * @param {string} key - The template key of the string to localize.
+   * @param {object} replacements - A dictionary of placeholder replacements values.
+   * @throws {ReferenceError} If the key is missing and the Localization is strict.
+   */
+  contextString (context, key, replacements) {
+    const inContext = contextKey(context, key)
+    const known = Object.prototype.hasOwnProperty.call(this.strings, inContext)
+    return this.string(known ? inContext : key, replacements)
+  }
+}
+
+/**
+ * Get the names of the `%{}` placeholders and `plural` / `select` arguments in a template.
+ * @returns {Array.<string>} The distinct names, sorted.
+ * @param {string} str - The template.
+ * @private
+ */
+function placeholderNames (str) {
+  const names = new Set()
+  for (let [, escaped, name] of `${str}`.matchAll(/%(%?)\{([^:|}]+)/g)) {
+    if (!escaped) names.add(name)
+  }
+  for (let [, name] of `${str}`.matchAll(/\{\s*([^\s,{}]+)\s*,\s*(?:plural|select)\s*,/g)) names.add(name)
+  return [...names].sort()
+}
+
+/**
+ * Build the key of a message in a context, the way gettext does internally.
+ * @returns {string} The context and key, separated by U+0004.
+ * @param {string} context - The message context.
+ * @param {string} key - The message key.
+ * @private
+ */
+function contextKey (context, key) {
+  return `${context}\u0004${key}`
+}
+
+/**
+ * A raw gettext catalog entry.
+ * @typedef {object} POEntry
+ * @property {?string} msgctxt - The message context.
+ * @property {string} msgid - The message id.
+ * @property {?string} msgid_plural - The plural message id.
+ * @property {Array.<string>} msgstr - The translation, or its plural forms.
+ * @property {boolean} fuzzy - Whether the entry is marked fuzzy.
+ * @private
+ */
+
+/**
+ * Split a gettext catalog into its entries.
+ * @returns {Array.<POEntry>} The entries.
+ * @param {string} text - The catalog source.
+ * @throws {SyntaxError} On malformed lines.
+ * @private
+ */
+function parsePOEntries (text) {
+  const escapes = { n: '\n', r: '\r', t: '\t' }
+  const unquote = str => str.slice(1, -1).replace(/\\(.)/g, (_, char) => escapes[char] || char)
+
+  const entries = []
+  let entry = null
+  let field = null
+  let fuzzy = false
+  text.split(/\r?\n/).forEach((raw, idx) => {
+    const line = raw.trim()
+    if (!line) return
+    if (line.startsWith('#')) { // comments precede the entry they apply to
+      if (/^#,.*\bfuzzy\b/.test(line)) fuzzy = true
+      return
+    }
+
+    const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr)(?:\[(\d+)\])?\s+("(?:[^"\\]|\\.)*")$/)
+    if (match != null) {
+      const [, keyword, index, value] = match
+      if (keyword === 'msgctxt' || (keyword === 'msgid' && (entry == null || entry.msgid != null))) {
+        if (entry != null && entry.msgid != null) entries.push(entry)
+        entry = { msgctxt: null, msgid: null, msgid_plural: null, msgstr: [], fuzzy: fuzzy }
+        fuzzy = false
+      }
+      if (entry == null || (keyword !== 'msgctxt' && keyword !== 'msgid' && entry.msgid == null)) {
+        throw new SyntaxError(`Unexpected ${keyword} on line ${idx + 1}.`)
+      }
+      field = keyword === 'msgstr' ? Number.parseInt(index || '0', 10) : keyword
+      if (typeof field === 'number') entry.msgstr[field] = unquote(value)
+      else entry[field] = unquote(value)
+    } else if (/^"(?:[^"\\]|\\.)*"$/.test(line) && field != null) { // continuation line
+      if (typeof field === 'number') entry.msgstr[field] += unquote(line)
+      else entry[field] += unquote(line)
+    } else {
+      throw new SyntaxError(`Unexpected content on line ${idx + 1}: ${line}`)
+    }
+  })
+  if (entry != null && entry.msgid != null) entries.push(entry)
+  return entries
+}
+
+/**
+ * Compile the `plural` expression of a gettext `Plural-Forms` header.
+ * The expression is checked to only contain the C operators gettext allows.
+ * @returns {function(number): number} The form index for a count.
+ * @param {string} header - The catalog header entry.
+ * @throws {SyntaxError} On invalid expressions.
+ * @private
+ */
+function pluralFormula (header) {
+  const match = header.match(/^Plural-Forms:.*\bplural\s*=\s*([^;\n]+)/mi)
+  if (match == null) return n => n === 1 ? 0 : 1 // gettext’s default, Germanic plurals
+  const expr = match[1].trim()
+  if (!/^[n\d\s?:=!<>&|%()+*/-]+$/.test(expr)) {
+    throw new SyntaxError(`Invalid Plural-Forms expression: ${expr}`)
+  }
+  const formula = Function('n', `return +(${expr})`)
+  return n => formula(n)
+}
+
+/**
+ * Convert gettext plural forms to an ICU `plural` construct.
+ * Form indexes are mapped to the CLDR categories of the language by sampling
+ * counts; each category uses the form gettext picks for most of its samples.
+ * @returns {string} The template.
+ * @param {Array.<string>} forms - The `msgstr[n]` forms.
+ * @param {function(number): number} formula - The Plural-Forms formula.
+ * @param {string} tag - The language tag.
+ * @param {string} argument - The placeholder name to select by.
+ * @private
+ */
+function pluralTemplate (forms, formula, tag, argument) {
+  const votes = {}
+  for (let n = 0; n <= 1000; n++) {
+    const category = pluralCategory(tag, n)
+    const index = formula(n)
+    votes[category] = votes[category] || {}
+    votes[category][index] = (votes[category][index] || 0) + 1
+  }
+
+  const variants = {}
+  Object.keys(votes).forEach(category => {
+    const counts = votes[category]
+    const index = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0]
+    if (forms[index] != null) variants[category] = forms[index]
+  })
+  if (variants.other == null) variants.other = forms[forms.length - 1]
+
+  const options = Object.keys(variants).map(category => `${category} {${variants[category]}}`)
+  return `{${argument}, plural, ${options.join(' ')}}`
+}
+
+/**
+ * Scripts implied by regions for languages written in more than one script,
+ * so that i.e. 'zh-TW' matches 'zh-Hant' siblings.
+ * @private
+ */
+const regionScripts = {
+  zh: { TW: 'Hant', HK: 'Hant', MO: 'Hant', CN: 'Hans', SG: 'Hans' },
+  sr: { RS: 'Cyrl', ME: 'Latn' }
+}
+
+/**
+ * Split a language tag into its language, script and region subtags.
+ * @returns {{language: string, script: ?string, region: ?string}} The subtags, normalised.
+ * @param {string} tag - The BCP 47 language tag.
+ * @private
+ */
+function parseTag (tag) {
+  const [language, ...rest] = tag.replace(/_/g, '-').split('-')
+  const parsed = { language: language.toLowerCase(), script: null, region: null }
+  rest.forEach(sub => {
+    if (/^[a-z]{4}$/i.test(sub) && parsed.script == null && parsed.region == null) {
+      parsed.script = sub[0].toUpperCase() + sub.slice(1).toLowerCase()
+    } else if (/^([a-z]{2}|\d{3})$/i.test(sub) && parsed.region == null) {
+      parsed.region = sub.toUpperCase()
+    }
+  })
+  if (parsed.script == null && parsed.region != null && regionScripts[parsed.language]) {
+    parsed.script = regionScripts[parsed.language][parsed.region] || null
+  }
+  return parsed
+}
+
+/**
+ * Get the RFC 4647 lookup fallback chain for a language range, i.e. the range
+ * progressively truncated by one subtag (dropping trailing singletons as well).
+ * @returns {Array.<string>} The chain, starting with the full range.
+ * @param {string} range - The language range.
+ * @private
+ */
+function truncations (range) {
+  const chain = []
+  const subtags = range.replace(/_/g, '-').split('-')
+  while (subtags.length) {
+    chain.push(subtags.join('-'))
+    subtags.pop()
+    if (subtags.length && subtags[subtags.length - 1].length === 1) subtags.pop()
+  }
+  return chain
+}
+
+/**
+ * Negotiate the available language tags matching requested language ranges.
+ * @returns {Array.<string>} The matching `available` tags, in order of descending precedence.
+ * @param {Array.<string>} ranges - The requested language ranges, in order of preference.
+ * @param {Array.<string>} available - The available language tags.
+ * @private
+ */
+function negotiate (ranges, available) {
+  const byLowerCase = new Map(available.map(tag => [tag.toLowerCase(), tag]))
+  const chain = []
+  const add = tag => {
+    let match = byLowerCase.get(tag.toLowerCase())
+    if (match != null && !chain.includes(match)) chain.push(match)
+  }
+
+  ranges.forEach(range => {
+    const wanted = parseTag(range)
+    const bases = [wanted.language]
+    if (wanted.script != null) bases.unshift(`${wanted.language}-${wanted.script}`)
+    truncations(range).forEach(tag => {
+      if (!bases.some(base => base.toLowerCase() === tag.toLowerCase())) add(tag)
+    })
+
+    // regional siblings sharing language and script
+    if (wanted.region != null) {
+      available.forEach(tag => {
+        const other = parseTag(tag)
+        if (other.language === wanted.language && other.region != null &&
+            other.script === wanted.script) add(tag)
+      })
+    }
+    bases.forEach(add)
+  })
+  return chain
+}
+
+/**
+ * Date styles accepted by the date and time formatters.
+ * @private
+ */
+const dateStyles = ['short', 'medium', 'long', 'full']
+
+/**
+ * Format a date with Scriptable’s DateFormatter, or `Intl` outside Scriptable.
+ * @returns {string} The formatted date.
+ * @param {Date|number|string} value - The date, or a value `new Date()` accepts.
+ * @param {?string} dateStyle - The date style, or null to omit the date.
+ * @param {?string} timeStyle - The time style, or null to omit the time.
+ * @param {string} locale - The locale to format for.
+ * @private
+ */
+function formatDate (value, dateStyle, timeStyle, locale) {
+  const date = value instanceof Date ? value : new Date(value)
+  if (typeof DateFormatter === 'function') {
+    const fmt = new DateFormatter()
+    const capitalize = str => str[0].toUpperCase() + str.slice(1)
+    fmt.locale = locale.replace(/-/g, '_')
+    dateStyle ? fmt[`use${capitalize(dateStyle)}DateStyle`]() : fmt.useNoDateStyle()
+    timeStyle ? fmt[`use${capitalize(timeStyle)}TimeStyle`]() : fmt.useNoTimeStyle()
+    return fmt.string(date)
+  }
+  const options = {}
+  if (dateStyle) options.dateStyle = dateStyle
+  if (timeStyle) options.timeStyle = timeStyle
+  return new Intl.DateTimeFormat(locale, options).format(date)
+}
+
+/**
+ * Get a valid date style from a formatter argument.
+ * @returns {string} The date style; 'medium' if `arg` is not valid.
+ * @param {?string} arg - The formatter argument.
+ * @private
+ */
+function dateStyle (arg) {
+  return dateStyles.includes(arg) ? arg : 'medium'
+}
+
+/**
+ * Get a valid number of fraction digits from a formatter argument.
+ * @returns {?number} The number of digits; `fallback` if `arg` is not an integer from 0 to 20.
+ * @param {?string} arg - The formatter argument.
+ * @param {?number} fallback - The number of digits to use for invalid arguments.
+ * @private
+ */
+function fractionDigits (arg, fallback) {
+  const digits = /^\s*\d+\s*$/.test(arg || '') ? Number.parseInt(arg, 10) : NaN
+  return digits >= 0 && digits <= 20 ? digits : fallback
+}
+
+/**
+ * Built in placeholder formatters, keyed by name.
+ * @type {object.<string, Formatter>}
+ * @private
+ */
+const formatters = {
+  number: (value, arg, locale) => {
+    const digits = fractionDigits(arg, null)
+    const options = digits != null ? { minimumFractionDigits: digits, maximumFractionDigits: digits } : {}
+    return Number(value).toLocaleString(locale, options)
+  },
+  percent: (value, arg, locale) => {
+    const digits = fractionDigits(arg, 0)
+    const options = { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }
+    return Number(value).toLocaleString(locale, options)
+  },
+  date: (value, arg, locale) => formatDate(value, dateStyle(arg), null, locale),
+  time: (value, arg, locale) => formatDate(value, null, dateStyle(arg), locale),
+  datetime: (value, arg, locale) => formatDate(value, dateStyle(arg), dateStyle(arg), locale),
+  relative: (value, arg, locale) => {
+    const date = value instanceof Date ? value : new Date(value)
+    if (typeof RelativeDateTimeFormatter === 'function') {
+      const fmt = new RelativeDateTimeFormatter()
+      fmt.locale = locale.replace(/-/g, '_')
+      fmt.useNamedDateTimeStyle()
+      return fmt.string(date, new Date())
+    }
+    const seconds = (date.getTime() - Date.now()) / 1000
+    const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]]
+    const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1]
+    return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(Math.round(seconds / size), unit)
+  }
+}
+
+/**
+ * Plural operands of a number, as defined by CLDR.
+ * @typedef {object} PluralOperands
+ * @property {number} n - The absolute value.
+ * @property {number} i - The integer digits of `n`.
+ * @property {number} v - The number of visible fraction digits.
+ * @see {@link https://unicode.org/reports/tr35/tr35-numbers.html#Operands|“Plural Operand Meanings” in UTS #35}
+ * @private
+ */
+
+/**
+ * CLDR cardinal plural rules, keyed by ISO 639 language code.
+ * @private
+ */
+const pluralRules = {
+  en: ({ i, v }) => i === 1 && v === 0 ? 'one' : 'other',
+  de: ({ i, v }) => i === 1 && v === 0 ? 'one' : 'other',
+  fr: ({ i, v }) => {
+    if (i === 0 || i === 1) return 'one'
+    if (v === 0 && i !== 0 && i % 1000000 === 0) return 'many'
+    return 'other'
+  },
+  pl: ({ i, v }) => {
+    if (v !== 0) return 'other'
+    if (i === 1) return 'one'
+    if (i % 10 >= 2 && i % 10 <= 4 && !(i % 100 >= 12 && i % 100 <= 14)) return 'few'
+    return 'many'
+  },
+  ru: ({ i, v }) => {
+    if (v !== 0) return 'other'
+    if (i % 10 === 1 && i % 100 !== 11) return 'one'
+    if (i % 10 >= 2 && i % 10 <= 4 && !(i % 100 >= 12 && i % 100 <= 14)) return 'few'
+    return 'many'
+  },
+  ar: ({ n }) => {
+    if (n === 0) return 'zero'
+    if (n === 1) return 'one'
+    if (n === 2) return 'two'
+    if (Number.isInteger(n) && n % 100 >= 3 && n % 100 <= 10) return 'few'
+    if (Number.isInteger(n) && n % 100 >= 11) return 'many'
+    return 'other'
+  }
+}
+
+/**
+ * Get the CLDR plural category of a number.
+ * Languages without built in rules use `Intl.PluralRules` where available.
+ * @returns {string} One of 'zero', 'one', 'two', 'few', 'many' or 'other'.
+ * @param {string} tag - The language tag to use the rules of.
+ * @param {number} value - The number to categorise.
+ * @private
+ */
+function pluralCategory (tag, value) {
+  const rule = pluralRules[tag.split('-')[0].toLowerCase()]
+  if (rule == null) {
+    try {
+      return new Intl.PluralRules(tag).select(value)
+    } catch (e) {
+      return 'other'
+    }
+  }
+
+  const n = Math.abs(value)
+  const fraction = `${n}`.split('.')[1]
+  return rule({ n: n, i: Math.floor(n), v: fraction ? fraction.length : 0 })
+}
+
+/**
+ * Find the position of the brace closing the one at `start`.
+ * @returns {number} The position of the closing brace, or -1 if unbalanced.
+ * @param {string} str - The string to search.
+ * @param {number} start - The position of the opening brace.
+ * @private
+ */
+function closingBrace (str, start) {
+  let depth = 0
+  for (let pos = start; pos < str.length; pos++) {
+    if (str[pos] === '{') depth++
+    if (str[pos] === '}' && --depth === 0) return pos
+  }
+  return -1
+}
+
+/**
+ * Resolve ICU MessageFormat style `plural` and `select` constructs in a template.
+ * Other braces are left alone, so `%{}` placeholders pass through unchanged.
+ * @returns {string} The template with all constructs replaced by their selected variant.
+ * @param {string} str - The template.
+ * @param {object} replacements - The placeholder values.
+ * @param {string} tag - The language tag for plural rules.
+ * @param {string} locale - The locale to format `#` numbers in.
+ * @private
+ */
+function formatMessage (str, replacements, tag, locale) {
+  const construct = /\{\s*([^\s,{}]+)\s*,\s*(plural|select)\s*,/g
+  let result = ''
+  let last = 0
+  let match
+  while ((match = construct.exec(str)) != null) {
+    const end = closingBrace(str, match.index)
+    if (end < 0) break
+
+    // collect `key {variant}` pairs
+    const variants = {}
+    let offset = 0
+    const body = str.slice(construct.lastIndex, end)
+    const option = /\s*(offset:\s*(\d+)|(=?[^\s{}]+)\s*\{)/y
+    for (let pos = 0; pos < body.length;) {
+      option.lastIndex = pos
+      const opt = option.exec(body)
+      if (opt == null) break
+      if (opt[2] != null) {
+        offset = Number.parseInt(opt[2], 10)
+        pos = option.lastIndex
+        continue
+      }
+      const open = option.lastIndex - 1
+      const close = closingBrace(body, open)
+      if (close < 0) break
+      variants[opt[3]] = body.slice(open + 1, close)
+      pos = close + 1
+    }
+
+    const [, name, type] = match
+    const value = replacements[name]
+    const number = Number(value)
+    const counted = type === 'plural' && value != null && !Number.isNaN(number)
+    let variant
+    if (type === 'select') {
+      variant = value != null ? variants[`${value}`] : null
+    } else if (counted) {
+      variant = variants[`=${number}`]
+      if (variant == null) variant = variants[pluralCategory(tag, number - offset)]
+    }
+    if (variant == null) variant = variants.other || ''
+
+    // nested constructs first, so their `#` stand for their own number
+    variant = formatMessage(variant, replacements, tag, locale)
+    if (counted) variant = variant.replace(/#/g, (number - offset).toLocaleString(locale))
+    result += str.slice(last, match.index) + variant
+    last = end + 1
+    construct.lastIndex = last
+  }
+  return result + str.slice(last)
 }
@@ -5,46 +5,486 @@
  * Asynchronous timers for Scriptable.
  * Source master repository on {@link https://github.com/kopischke/scriptable|GitHub}).
  * @author Martin Kopischke <martin@kopischke.net>
- * @version 1.1.2
+ * @version 1.3.0
  * @license MIT
- * @deprecated since Scriptable 1.4.4
  * @module
  */
 
+/**
+ * Scriptable’s native Timer class (Scriptable 1.4.4 and later), if available.
+ * Captured here as the Timer class exported below shadows it.
+ * @private
+ */
+const NativeTimer = typeof Timer === 'function' && typeof Timer.schedule === 'function'
+  ? Timer
+  : null
+
+/**
+ * Error rejecting a promise that did not settle in time.
+ * @extends Error
+ */
+const TimeoutError = module.exports.TimeoutError = class TimeoutError extends Error {
+  /**
+   * Creates a new TimeoutError instance.
+   * @param {string} [message] - The error message.
+   */
+  constructor (message) {
+    super(message || 'Operation timed out.')
+    this.name = 'TimeoutError'
+  }
+}
+
+/**
+ * Error rejecting a cancelled timer or aborted sleep.
+ * Named like the DOM error used by `fetch` et al., so checks on `name` work for both.
+ * @extends Error
+ */
+const AbortError = module.exports.AbortError = class AbortError extends Error {
+  /**
+   * Creates a new AbortError instance.
+   * @param {string} [message] - The error message.
+   */
+  constructor (message) {
+    super(message || 'Timer cancelled.')
+    this.name = 'AbortError'
+  }
+}
+
+/**
+ * An object signalling abortion, like the DOM `AbortSignal`:
+ * it has an `aborted` property and an `addEventListener` method accepting 'abort'.
+ * @typedef {object} AbortSignalLike
+ * @property {boolean} aborted - Whether abortion has been signalled.
+ */
+
+/**
+ * Minimal stand in for the DOM `AbortController`, which Scriptable lacks.
+ * Where the environment has a native AbortController, that is exported instead.
+ *
+ * @example
+ * const { AbortController, Timer } = importModule('net.kopischke.timer.js')
+ * const controller = new AbortController()
+ * new Timer().sleep(5000, controller.signal).catch(e => console.log(e.name)) // 'AbortError'
+ * controller.abort()
+ */
+module.exports.AbortController = typeof AbortController === 'function'
+  ? AbortController
+  : class AbortController {
+    /**
+     * Creates a new AbortController instance.
+     * @property {AbortSignalLike} signal - The signal controlled.
+     */
+    constructor () {
+      const listeners = []
+      this.signal = {
+        aborted: false,
+        addEventListener: (type, listener) => {
+          if (type === 'abort') listeners.push(listener)
+        },
+        removeEventListener: (type, listener) => {
+          const idx = listeners.indexOf(listener)
+          if (type === 'abort' && idx > -1) listeners.splice(idx, 1)
+        }
+      }
+      this._listeners = listeners
+    }
+
+    /**
+     * Signal abortion to all listeners (once).
+     */
+    abort () {
+      if (this.signal.aborted) return
+      this.signal.aborted = true
+      this._listeners.splice(0).forEach(listener => listener({ type: 'abort' }))
+    }
+  }
+
+/**
+ * A running timer: a promise resolving when the timer elapses,
+ * which can be cancelled before that.
+ * @typedef {Promise} TimerHandle
+ * @property {function} cancel - Stops the timer and rejects the promise with an {@link AbortError}
+ * (no-op once the timer has elapsed).
+ */
+
+/**
+ * A running interval.
+ * @typedef {object} IntervalHandle
+ * @property {function} cancel - Stops the interval.
+ * @property {number} count - The number of times the callback has been called.
+ * @property {boolean} cancelled - Whether the interval has stopped.
+ * @property {Promise<number>} done - Resolves to `count` when the interval is cancelled,
+ * rejects if the callback throws or the promise it returns rejects (which also stops
+ * the interval). Not awaiting it does not leave an unhandled rejection.
+ */
+
 /**
  * A Timer host allowing to launch an indefinite number of asynchronous timers.
  *
+ * Uses Scriptable’s native `Timer` where available (Scriptable 1.4.4 and later);
+ * older versions fall back on `setTimeout` inside a hidden WebView.
+ *
  * @example
- * const { Timer } = loadModule('net.kopischke.timer.js')
- * comst timer = new Timer()
+ * const { Timer } = importModule('net.kopischke.timer.js')
+ * const timer = new Timer()
  *
- * let timer1 = timer.add(2500).then(console.log('2.5 sec. timer elapsed'))
- * let timer2 = timer.add(500).then(console.log('0.5 sec. timer elapsed'))
+ * let timer1 = timer.add(2500).then(() => console.log('2.5 sec. timer elapsed'))
+ * let timer2 = timer.add(500)
+ * timer2.cancel() // timer2 rejects with an AbortError
+ * let data = await timer.timeout(request.loadJSON(), 10000) // or rejects with a TimeoutError
  */
- module.exports.Timer = class Timer {
+const TimerHost = module.exports.Timer = class Timer {
   /**
    * Creates a Timer host instance.
+   * @param {object} [options] - Host options.
+   * @param {boolean} [options.native] - Whether to use Scriptable’s native Timer;
+   * defaults to true where it is available.
+   * @property {boolean} native - Whether the host uses Scriptable’s native Timer.
    * @property {Promise<Boolean>} ready - Resolves when the host is ready to launch timers.
    */
-  constructor () {
-    this.view = new WebView()
-    let html = '<script>function wait (ms) { setTimeout(completion, ms) }</script>'
-    this.ready = this.view.loadHTML(html).then(() => true)
+  constructor (options) {
+    const native = options != null && options.native != null ? options.native : NativeTimer != null
+    this.native = native && NativeTimer != null
+    if (this.native) {
+      this.ready = Promise.resolve(true)
+    } else {
+      this.view = new WebView()
+      let html = '<script>function wait (ms) { setTimeout(completion, ms) }</script>'
+      this.ready = this.view.loadHTML(html).then(() => true)
+    }
   }
 
   /**
    * Starts an asynchronous timer. Will wait on the host to be ready, subtracting
    * that wait time from the timer run (which makes the ready delay the minimum
    * effective length for a timer launched immediately on host creation).
-   * @returns {Promise} The timer.
+   * @returns {TimerHandle} The timer.
    * @param {Number} delay - The timer running time, in ms.
    */
-  async add (delay) {
+  add (delay) {
     let target = Date.now() + delay
-    await this.ready
-    let remain = target - Date.now()
-    return remain > 0
-      ? this.view.evaluateJavaScript(`wait(${remain})`, true)
-      : Promise.resolve()
+    let settled = false
+    let cancelled = false
+    let nativeTimer = null
+    let reject
+
+    const handle = new Promise((resolve, rejectFn) => {
+      reject = rejectFn
+      const elapse = () => {
+        if (!cancelled) {
+          settled = true
+          resolve()
+        }
+      }
+
+      this.ready.then(() => {
+        if (cancelled) return
+        let remain = target - Date.now()
+        if (remain <= 0) {
+          elapse()
+        } else if (this.native) {
+          nativeTimer = NativeTimer.schedule(remain, false, elapse)
+        } else {
+          this.view.evaluateJavaScript(`wait(${remain})`, true).then(elapse, rejectFn)
+        }
+      }, rejectFn)
+    })
+
+    handle.cancel = () => {
+      if (settled || cancelled) return
+      cancelled = true
+      if (nativeTimer != null) nativeTimer.invalidate()
+      reject(new AbortError())
+    }
+    return handle
+  }
+
+  /**
+   * Calls a function repeatedly, with a fixed delay between calls.
+   * @returns {IntervalHandle} The interval.
+   * @param {Number} delay - The interval length, in ms.
+   * @param {function(number)} fn - The function to call; receives the call count.
+   * Calls are not awaited, but a rejected promise returned by `fn` stops the interval.
+   */
+  interval (delay, fn) {
+    let current = null
+    let nativeTimer = null
+    let finish
+
+    const stop = err => {
+      if (handle.cancelled) return
+      handle.cancelled = true
+      if (nativeTimer != null) nativeTimer.invalidate()
+      if (current != null) current.cancel()
+      finish(err)
+    }
+    const handle = { count: 0, cancelled: false, cancel: () => stop(null) }
+    handle.done = new Promise((resolve, reject) => {
+      finish = err => err != null ? reject(err) : resolve(handle.count)
+    })
+    handle.done.catch(() => {}) // callers need not await `done`
+
+    const tick = () => {
+      if (handle.cancelled) return
+      try {
+        const returned = fn(++handle.count)
+        if (returned != null && typeof returned.then === 'function') returned.then(null, stop)
+      } catch (e) {
+        stop(e)
+      }
+    }
+
+    if (this.native) {
+      nativeTimer = NativeTimer.schedule(delay, true, tick)
+    } else {
+      const next = () => {
+        current = this.add(delay)
+        current.then(() => {
+          tick()
+          if (!handle.cancelled) next()
+        }, () => {})
+      }
+      next()
+    }
+    return handle
+  }
+
+  /**
+   * Waits for a given time, unless aborted.
+   * @returns {Promise} Resolves after the delay, or rejects with an {@link AbortError}
+   * when the signal aborts first.
+   * @param {Number} delay - The time to wait, in ms.
+   * @param {AbortSignalLike} [signal] - A signal to abort the wait with.
+   */
+  sleep (delay, signal) {
+    if (signal != null && signal.aborted) return Promise.reject(new AbortError('Sleep aborted.'))
+
+    const timer = this.add(delay)
+    if (signal == null) return timer
+
+    const onAbort = () => timer.cancel()
+    signal.addEventListener('abort', onAbort)
+    const cleanup = () => {
+      if (typeof signal.removeEventListener === 'function') signal.removeEventListener('abort', onAbort)
+    }
+    return timer.then(cleanup, err => {
+      cleanup()
+      throw err instanceof AbortError ? new AbortError('Sleep aborted.') : err
+    })
+  }
+
+  /**
+   * Races a promise against a timer.
+   * @returns {Promise} Settles like `promise` if it settles within the time limit,
+   * else rejects with a {@link TimeoutError}.
+   * @param {Promise} promise - The promise to limit.
+   * @param {Number} delay - The time limit, in ms.
+   * @param {string} [message] - The TimeoutError message.
+   */
+  timeout (promise, delay, message) {
+    const timer = this.add(delay)
+    const expired = timer.then(() => {
+      throw new TimeoutError(message || `Operation timed out after ${delay} ms.`)
+    })
+    const result = Promise.resolve(promise)
+    const stop = () => timer.cancel()
+    result.then(stop, stop)
+    expired.catch(() => {}) // a cancelled timer rejects, too
+    return Promise.race([result, expired])
   }
 }
+
+/**
+ * Source of time for {@link retry} and {@link rateLimit}.
+ * @typedef {object} Clock
+ * @property {function(): number} now - Returns the current time, in ms.
+ * @property {function(number, AbortSignalLike=): Promise} sleep - Waits for a number of ms.
+ */
+
+/**
+ * Shared Timer host of the default clock, created on first use.
+ * @private
+ */
+let sharedTimer = null
+
+/**
+ * The default clock: real time, waiting on a shared {@link Timer} host.
+ * @type {Clock}
+ * @private
+ */
+const realClock = {
+  now: () => Date.now(),
+  sleep: (ms, signal) => {
+    if (sharedTimer == null) sharedTimer = new TimerHost()
+    return sharedTimer.sleep(ms, signal)
+  }
+}
+
+/**
+ * A clock that never waits: sleeping advances its time instantly.
+ * Pass it as `clock` option to test code using {@link retry} or {@link rateLimit}.
+ *
+ * @example
+ * const clock = new VirtualClock()
+ * await retry(flakyCall, { retries: 3, jitter: 'none', clock: clock }).catch(() => {})
+ * console.log(clock.sleeps) // [500, 1000, 2000]
+ */
+module.exports.VirtualClock = class VirtualClock {
+  /**
+   * Creates a new VirtualClock instance.
+   * @param {number} [start=0] - The initial time, in ms.
+   * @property {number} time - The current time, in ms.
+   * @property {Array.<number>} sleeps - The durations of all sleeps so far, in order.
+   */
+  constructor (start) {
+    this.time = start || 0
+    this.sleeps = []
+  }
+
+  /** @returns {number} The current time, in ms. */
+  now () {
+    return this.time
+  }
+
+  /**
+   * Advance the time.
+   * @returns {Promise} Resolves on the next microtask.
+   * @param {number} ms - The time to advance by.
+   * @param {AbortSignalLike} [signal] - Rejects with an {@link AbortError} if already aborted.
+   */
+  sleep (ms, signal) {
+    if (signal != null && signal.aborted) return Promise.reject(new AbortError('Sleep aborted.'))
+    this.sleeps.push(ms)
+    this.time += ms
+    return Promise.resolve()
+  }
+}
+
+/**
+ * Calls an async function until it succeeds, waiting with exponential backoff between attempts.
+ *
+ * @example
+ * const { retry } = importModule('net.kopischke.timer.js')
+ * const data = await retry(() => new Request(url).loadJSON(), {
+ *   retries: 4,
+ *   retryOn: e => !/40[134]/.test(e.message)
+ * })
+ * @returns {Promise} Resolves to the first successful result; rejects with the last error
+ * when retries are exhausted or `retryOn` declines, or with an {@link AbortError} on abort.
+ * @param {function(number): Promise} fn - The function to call; receives the attempt number (from 1).
+ * @param {object} [options] - Retry options.
+ * @param {number} [options.retries=3] - The maximum number of retries after the first attempt.
+ * @param {object|function(number): number} [options.backoff] - The base delay before retry `n`
+ * (from 1), as a function of `n` or an object with the following properties.
+ * @param {number} [options.backoff.initial=500] - The delay before the first retry, in ms.
+ * @param {number} [options.backoff.factor=2] - The multiplier for each further retry.
+ * @param {number} [options.backoff.max=30000] - The maximum delay, in ms.
+ * @param {string|number} [options.jitter='full'] - Randomisation of the delay:
+ * 'full' (anywhere from 0 to the delay), 'equal' (from half the delay), 'none',
+ * or a fraction by which the delay may vary either way.
+ * @param {function(Error, number): boolean} [options.retryOn] - Whether an error thrown by
+ * attempt `n` should be retried; retries all errors by default.
+ * @param {function(Error, number, number)} [options.onRetry] - Called with the error,
+ * the attempt number and the delay before each retry.
+ * @param {AbortSignalLike} [options.signal] - A signal to abort retrying with.
+ * @param {Clock} [options.clock] - The clock to wait with.
+ * @param {function(): number} [options.random=Math.random] - The random number source for jitter.
+ */
+module.exports.retry = async (fn, options) => {
+  const opts = options || {}
+  const retries = opts.retries != null ? opts.retries : 3
+  const clock = opts.clock || realClock
+  const random = opts.random || Math.random
+  const retryOn = opts.retryOn || (() => true)
+
+  for (let attempt = 1; ; attempt++) {
+    if (opts.signal != null && opts.signal.aborted) throw new AbortError('Retry aborted.')
+    try {
+      return await fn(attempt)
+    } catch (e) {
+      if (attempt > retries || !retryOn(e, attempt)) throw e
+      const delay = jittered(backoffDelay(opts.backoff, attempt), opts.jitter, random)
+      if (opts.onRetry) opts.onRetry(e, attempt, delay)
+      await clock.sleep(delay, opts.signal)
+    }
+  }
+}
+
+/**
+ * Wraps an async function so calls to it are limited to a rate, using a token bucket:
+ * the bucket holds up to `burst` tokens, refills at `rate` tokens per `interval`,
+ * and each call takes one token, waiting (in call order) while none are left.
+ *
+ * @example
+ * const { rateLimit } = importModule('net.kopischke.timer.js')
+ * const lookup = rateLimit(code => new Request(`${api}/${code}`).loadJSON(), { rate: 2, interval: 1000 })
+ * const results = await Promise.all(codes.map(lookup)) // no more than 2 requests per second
+ * @returns {function(...*): Promise} The rate limited function.
+ * @param {function(...*): Promise} fn - The function to limit.
+ * @param {object} [options] - Rate limiting options.
+ * @param {number} [options.rate=1] - The number of calls per interval.
+ * @param {number} [options.interval=1000] - The interval length, in ms.
+ * @param {number} [options.burst=rate] - The maximum number of calls without waiting.
+ * @param {Clock} [options.clock] - The clock to wait with.
+ */
+module.exports.rateLimit = (fn, options) => {
+  const opts = options || {}
+  const rate = opts.rate || 1
+  const interval = opts.interval || 1000
+  const burst = opts.burst || rate
+  const clock = opts.clock || realClock
+
+  let tokens = burst
+  let updated = clock.now()
+  let queue = Promise.resolve()
+
+  const take = async () => {
+    for (;;) {
+      const now = clock.now()
+      tokens = Math.min(burst, tokens + (now - updated) * rate / interval)
+      updated = now
+      if (tokens >= 1) {
+        tokens -= 1
+        return
+      }
+      await clock.sleep(Math.ceil((1 - tokens) * interval / rate))
+    }
+  }
+
+  return function () {
+    const turn = queue.then(take)
+    queue = turn.catch(() => {})
+    return turn.then(() => fn.apply(this, arguments))
+  }
+}
+
+/**
+ * Get the base backoff delay before a retry.
+ * @returns {number} The delay, in ms.
+ * @param {object|function(number): number} [backoff] - The backoff option of {@link retry}.
+ * @param {number} retry - The retry number (from 1).
+ * @private
+ */
+function backoffDelay (backoff, retry) {
+  if (typeof backoff === 'function') return backoff(retry)
+  const opts = backoff || {}
+  const initial = opts.initial != null ? opts.initial : 500
+  const factor = opts.factor != null ? opts.factor : 2
+  const max = opts.max != null ? opts.max : 30000
+  return Math.min(max, initial * factor ** (retry - 1))
+}
+
+/**
+ * Randomise a delay.
+ * @returns {number} The randomised delay, in whole ms.
+ * @param {number} delay - The base delay, in ms.
+ * @param {string|number} [jitter='full'] - The jitter option of {@link retry}.
+ * @param {function(): number} random - The random number source.
+ * @private
+ */
+function jittered (delay, jitter, random) {
+  if (jitter === 'none' || jitter === 0) return Math.round(delay)
+  if (jitter == null || jitter === 'full') return Math.round(random() * delay)
+  if (jitter === 'equal') return Math.round(delay / 2 + random() * delay / 2)
+  return Math.round(Math.max(0, delay * (1 + (random() * 2 - 1) * jitter)))
+}
@@ -7,52 +7,1778 @@
  * @see {@link https://gist.github.com/ZicklePop/603b19dd3b9e09f99030bc24e616ca6c}
  * @author Martin Kopischke <martin@kopischke.net>
  * Source master repository on {@link https://github.com/kopischke/scriptable|GitHub}).
- * @version 1.1.3
+ * @version 1.6.0
  * @module
  */
+const { ByteSequence } = importModule('net.kopischke.bytes')
+const { retry } = importModule('net.kopischke.timer')
+
+/**
+ * Resolved package versions, as stored in `modules/unpkg-lock.json`.
+ * @typedef {object} Lockfile
+ * @property {number} lockfileVersion - The lockfile format version.
+ * @property {object.<string, LockedPackage>} packages - What each requested
+ * `package@range` resolved to.
+ */
+
+/**
+ * A package version resolved from a range.
+ * @typedef {object} LockedPackage
+ * @property {string} version - The exact version.
+ * @property {string} main - The CommonJS entry file path inside the package.
+ * @property {object.<string, string>} dependencies - The version ranges of the
+ * package’s dependencies (including peer and optional dependencies).
+ * @property {string} resolvedAt - When the range was resolved (ISO 8601).
+ */
+
+/**
+ * Where a cached package file came from, as stored in the `.unpkg-cache.json`
+ * file of its package directory.
+ * @typedef {object} CachedFile
+ * @property {string} url - The URL the file was downloaded from (after redirects).
+ * @property {string} fetchedAt - When the file was downloaded (ISO 8601).
+ * @property {string} integrity - The SHA-256 hash of the file, in Subresource
+ * Integrity format (`sha256-<base64>`).
+ * @property {number} size - The file size in bytes.
+ * @property {string} [sourceIntegrity] - For ES modules converted to CommonJS,
+ * the integrity of the downloaded file; `integrity` and `size` are of the cached,
+ * converted one.
+ */
+
+/**
+ * A package version in the module cache.
+ * @typedef {object} CachedPackage
+ * @property {string} name - The package name.
+ * @property {?string} version - The package version; null for directories left
+ * by unpkg versions before 1.2, which did not record one.
+ * @property {string} path - The local path of the package directory.
+ * @property {Array.<string>} locked - The lockfile ranges resolving to this version.
+ * @property {object.<string, ?CachedFile>} files - The cached package files, keyed
+ * by path inside the package; null for files downloaded without recording metadata.
+ */
+
+/**
+ * The result of checking cached files against their recorded integrity.
+ * @typedef {object} VerifyResult
+ * @property {boolean} valid - Whether no file was modified or missing.
+ * @property {Array.<object>} files - The checked files, each with an `id`
+ * (`<package>@<version>/<file>`), a `status` ('ok', 'modified', 'missing' or
+ * 'unrecorded'), and the `expected` and `actual` integrity.
+ */
+
+/**
+ * A module in a dependency graph.
+ * @typedef {object} ModuleNode
+ * @property {string} id - The module id, `<package>@<version>/<file>`.
+ * @property {string} name - The package name.
+ * @property {string} version - The exact package version.
+ * @property {string} file - The file path inside the package.
+ * @property {string} path - The local path of the cached file.
+ * @property {object.<string, ?string>} requires - The ids of the modules the file
+ * `require()`s, keyed by specifier; null for modules that cannot be provided
+ * (Node built ins, missing packages or files).
+ */
+
+/**
+ * The modules needed to run a package file, with all they require, transitively.
+ * @typedef {object} DependencyGraph
+ * @property {string} root - The id of the requested module.
+ * @property {object.<string, ModuleNode>} modules - All modules, keyed by id.
+ * @property {Array.<Array.<string>>} cycles - Module id paths forming `require` cycles;
+ * these load like in Node, i.e. the module closing the cycle gets partial exports.
+ */
 
 /**
  * Imports NPM modules from `modules` in Scriptable’s documents directory,
- * downloading them from unpkg.com first if necessary.
+ * downloading them from unpkg.com (or the `registries` given) first if necessary.
+ *
+ * Versions can be exact, semver ranges (`^4.17`, `~1.2`, `>=2 <4`, `1.x || 2.x`)
+ * or dist-tags (`latest`, `next`); ranges and tags are resolved against the NPM
+ * registry and recorded in `modules/unpkg-lock.json`, so later runs reuse the same
+ * exact version without asking the registry. Without a `file`, the package entry
+ * point is read from the package.json `exports` (`require` or `default` condition)
+ * or `main` fields.
+ *
+ * Modules are run by a CommonJS loader: all files reachable through `require()`
+ * calls with literal specifiers (relative files and declared dependencies, in the
+ * versions the requiring package.json asks for) are downloaded before the module
+ * runs; see {@link dependencyGraph}. ES modules are converted to CommonJS when
+ * downloaded: static `import` declarations become `require()` calls (bindings are
+ * copied, not live) and exports become getters on `exports`. Modules using
+ * `import.meta` or a top level dynamic `import()` cannot be converted.
+ *
+ * @example
+ * const { unpkg } = importModule('net.kopischke.unpkg')
+ * const _ = await unpkg('lodash', { version: '^4.17' })
+ * const fp = await unpkg('lodash', 'fp', '4.17.21')
+ * const dayjs = await unpkg('dayjs', { registries: ['https://npm.example.com/unpkg', 'jsdelivr'] })
+ *
+ * @returns {Promise} The retrieval operation, resolving to the module exports.
+ * @param {string} name – the package name on NPM
+ * @param {string|object} [file] – the package file to import (an extension of `.js`
+ * is added if it has none), or an options object with all other parameters.
+ * @param {string} [version='latest'] – the package version, semver range or dist-tag to import
+ * @param {object} [options] – further options
+ * @param {boolean} [options.update=false] – whether to re-resolve versions even if locked,
+ * and get package file listings again
+ * @param {number} [options.ttl=Infinity] – the age in milliseconds after which locked
+ * ranges and dist-tags are re-resolved, and cached files and file listings downloaded again
+ * @param {boolean} [options.offline=false] – whether to only use the lockfile and
+ * cached files; anything not cached is an error instead of a download
+ * @param {boolean} [options.verify=false] – whether to check cached files against
+ * their recorded integrity before running them
+ * @param {Array.<string|Registry>} [options.registries=['unpkg']] – where to get
+ * packages from, tried in order until one succeeds: 'unpkg', 'jsdelivr' or 'npm'
+ * for the public services with their defaults, an HTTP(S) base URL of an unpkg
+ * compatible server, a local directory path of a {@link DirectoryRegistry} mirror,
+ * or any {@link Registry} instance
+ */
+module.exports.unpkg = async (name, file, version, options) => {
+  const ctx = await loaderContext(file, version, options)
+  const graph = await buildGraph(ctx, name)
+  return runGraph(ctx, graph)
+}
+
+/**
+ * Downloads an NPM module and everything it requires like {@link unpkg}, but
+ * returns the dependency graph instead of running the module.
+ *
+ * @example
+ * const { dependencyGraph } = importModule('net.kopischke.unpkg')
+ * const graph = await dependencyGraph('express')
+ * console.log(Object.keys(graph.modules).length, graph.cycles)
+ *
+ * @returns {Promise<DependencyGraph>} The dependency graph.
+ * @param {string} name – the package name on NPM
+ * @param {string|object} [file] – as for {@link unpkg}
+ * @param {string} [version='latest'] – as for {@link unpkg}
+ * @param {object} [options] – as for {@link unpkg}
+ */
+module.exports.dependencyGraph = async (name, file, version, options) => {
+  const ctx = await loaderContext(file, version, options)
+  return buildGraph(ctx, name)
+}
+
+/**
+ * Lists the package versions in the module cache.
+ *
+ * @example
+ * const { list } = importModule('net.kopischke.unpkg')
+ * for (let pkg of await list()) console.log(`${pkg.name}@${pkg.version}`)
+ *
+ * @returns {Promise<Array.<CachedPackage>>} The cached packages.
+ */
+module.exports.list = async () => {
+  const ctx = await loaderContext()
+  const packages = []
+  for (let { name, version, path } of cachedPackages(ctx)) {
+    const cache = await cacheRecord(ctx, path)
+    const files = {}
+    packageFiles(ctx.fm, path).forEach(file => { files[file] = cache.files[file] || null })
+    const locked = Object.keys(ctx.lock.packages).filter(spec =>
+      specName(spec) === name && ctx.lock.packages[spec].version === version)
+    packages.push({ name: name, version: version, path: path, locked: locked, files: files })
+  }
+  return packages
+}
+
+/**
+ * Removes package versions from the module cache, and the lockfile entries
+ * resolving to them.
  *
  * @example
- * const unpkg = importModule('com.melaniekat.unpkg')
- * const _ = await unpkg('lodash')
+ * const { purge } = importModule('net.kopischke.unpkg')
+ * await purge('lodash@4.17.20') // one version
+ * await purge('lodash') // all versions
  *
- * @returns {Promise} The retrieval opration, resolving to the source.
- * @param {string} package – the package name on NPM
- * @param {string} [file=package] – the package file to import
- * @param {string} [version] – the package version to import
+ * @returns {Promise<Array.<string>>} The removed packages, as `<package>@<version>`.
+ * @param {string} [pkg] – the package, as `<package>` or `<package>@<version>`;
+ * purges the whole cache if omitted
+ */
+module.exports.purge = async (pkg) => {
+  const ctx = await loaderContext()
+  const { fm } = ctx
+  const purged = []
+  for (let cached of cachedPackages(ctx, pkg)) {
+    fm.remove(cached.path)
+    purged.push(cached.version != null ? `${cached.name}@${cached.version}` : cached.name)
+    const scopePath = cached.path.slice(0, cached.path.lastIndexOf('/'))
+    if (scopePath !== ctx.modulesPath && !fm.listContents(scopePath).length) fm.remove(scopePath)
+  }
+  const [name, version] = pkg != null ? splitSpec(pkg) : []
+  Object.keys(ctx.lock.packages)
+    .filter(spec => name == null || (specName(spec) === name &&
+      (version == null || ctx.lock.packages[spec].version === version)))
+    .forEach(spec => {
+      delete ctx.lock.packages[spec]
+      ctx.lockChanged = true
+    })
+  saveState(ctx)
+  return purged
+}
+
+/**
+ * Checks cached package files against the integrity recorded when they were
+ * downloaded. Files without a recorded integrity are reported as 'unrecorded'
+ * but do not make the result invalid.
+ *
+ * @example
+ * const { verify } = importModule('net.kopischke.unpkg')
+ * const result = await verify()
+ * if (!result.valid) console.error(result.files.filter(file => file.status !== 'ok'))
+ *
+ * @returns {Promise<VerifyResult>} The verification result.
+ * @param {string} [pkg] – the package to check, as `<package>` or `<package>@<version>`;
+ * checks the whole cache if omitted
+ */
+module.exports.verify = async (pkg) => {
+  const ctx = await loaderContext()
+  const { fm } = ctx
+  const files = []
+  for (let { name, version, path } of cachedPackages(ctx, pkg)) {
+    const cache = await cacheRecord(ctx, path)
+    const prefix = version != null ? `${name}@${version}` : name
+    const onDisk = packageFiles(fm, path)
+    const recorded = Object.keys(cache.files).filter(file => !onDisk.includes(file))
+    for (let file of onDisk.concat(recorded)) {
+      const entry = cache.files[file]
+      const expected = entry != null ? entry.integrity : null
+      let actual = null
+      let status = 'missing'
+      if (onDisk.includes(file)) {
+        actual = integrityOf(await readBytes(fm, fm.joinPath(path, file)))
+        status = expected == null ? 'unrecorded' : expected === actual ? 'ok' : 'modified'
+      }
+      files.push({ id: `${prefix}/${file}`, status: status, expected: expected, actual: actual })
+    }
+  }
+  const valid = !files.some(file => file.status === 'modified' || file.status === 'missing')
+  return { valid: valid, files: files }
+}
+
+/**
+ * A source of NPM packages. Subclasses provide the package files; registry
+ * metadata is read from an NPM registry (`https://registry.npmjs.org` by default).
+ * Custom registries extend this class, or implement the same three methods.
+ */
+const Registry = module.exports.Registry = class Registry {
+  /**
+   * @param {object} [options] - Registry options.
+   * @param {string} [options.registry='https://registry.npmjs.org'] - The NPM
+   * registry URL to read package metadata from.
+   */
+  constructor (options) {
+    const opts = options || {}
+    this.registry = withoutSlash(opts.registry || 'https://registry.npmjs.org')
+    this.name = this.registry
+    this._metadata = {}
+  }
+
+  /**
+   * Get the registry metadata (“packument”) of a package.
+   * @returns {Promise<object>} The metadata, with `versions` and `dist-tags`.
+   * @param {string} name - The package name.
+   */
+  metadata (name) {
+    if (this._metadata[name] == null) {
+      const url = `${this.registry}/${name.replace('/', '%2F')}`
+      this._metadata[name] = load(url, 'loadJSON').then(({ body }) => body)
+      this._metadata[name].catch(() => { delete this._metadata[name] })
+    }
+    return this._metadata[name]
+  }
+
+  /**
+   * List the files of a package version.
+   * @returns {Promise<Array.<string>>} The file paths inside the package, without leading '/'.
+   * @param {string} name - The package name.
+   * @param {string} version - The exact package version.
+   */
+  async files (name, version) {
+    throw new Error(`${this.constructor.name} cannot list package files.`)
+  }
+
+  /**
+   * Get a package file.
+   * @returns {Promise<{bytes: ByteSequence, url: string}>} The file contents and
+   * the URL they came from.
+   * @param {string} name - The package name.
+   * @param {string} version - The exact package version.
+   * @param {string} file - The file path inside the package.
+   */
+  async file (name, version, file) {
+    throw new Error(`${this.constructor.name} cannot provide package files.`)
+  }
+}
+
+/**
+ * unpkg.com, or a server with the same URL layout (`<base>/<package>@<version>/<file>`,
+ * with `?meta` file listings).
+ */
+const UnpkgRegistry = module.exports.UnpkgRegistry = class UnpkgRegistry extends Registry {
+  /**
+   * @param {object} [options] - Registry options.
+   * @param {string} [options.base='https://unpkg.com'] - The server base URL.
+   * @param {string} [options.registry] - As for {@link Registry}.
+   */
+  constructor (options) {
+    super(options)
+    this.base = withoutSlash((options && options.base) || 'https://unpkg.com')
+    this.name = this.base
+  }
+
+  /** @inheritdoc */
+  async files (name, version) {
+    return listFiles((await load(`${this.base}/${name}@${version}/?meta`, 'loadJSON')).body)
+  }
+
+  /** @inheritdoc */
+  async file (name, version, file) {
+    return fetchBytes(`${this.base}/${name}@${version}/${file}`)
+  }
+}
+
+/**
+ * The jsDelivr CDN, or a server with the same URL layout.
+ */
+const JsDelivrRegistry = module.exports.JsDelivrRegistry = class JsDelivrRegistry extends Registry {
+  /**
+   * @param {object} [options] - Registry options.
+   * @param {string} [options.base='https://cdn.jsdelivr.net/npm'] - The CDN base URL.
+   * @param {string} [options.api='https://data.jsdelivr.com/v1'] - The data API
+   * base URL, for file listings.
+   * @param {string} [options.registry] - As for {@link Registry}.
+   */
+  constructor (options) {
+    super(options)
+    const opts = options || {}
+    this.base = withoutSlash(opts.base || 'https://cdn.jsdelivr.net/npm')
+    this.api = withoutSlash(opts.api || 'https://data.jsdelivr.com/v1')
+    this.name = this.base
+  }
+
+  /** @inheritdoc */
+  async files (name, version) {
+    const url = `${this.api}/packages/npm/${name}@${version}?structure=flat`
+    return (await load(url, 'loadJSON')).body.files.map(entry => entry.name.replace(/^\//, ''))
+  }
+
+  /** @inheritdoc */
+  async file (name, version, file) {
+    return fetchBytes(`${this.base}/${name}@${version}/${file}`)
+  }
+}
+
+/**
+ * An NPM registry, getting package files from the published tarballs. Each
+ * tarball is downloaded once per instance.
+ */
+const NpmRegistry = module.exports.NpmRegistry = class NpmRegistry extends Registry {
+  /**
+   * @param {object} [options] - As for {@link Registry}.
+   */
+  constructor (options) {
+    super(options)
+    this._tarballs = {}
+  }
+
+  /** @inheritdoc */
+  async files (name, version) {
+    return Object.keys((await this._tarball(name, version)).files)
+  }
+
+  /** @inheritdoc */
+  async file (name, version, file) {
+    const tarball = await this._tarball(name, version)
+    const bytes = tarball.files[file]
+    if (bytes == null) throw new Error(`${name}@${version} has no file '${file}'.`)
+    return { bytes: bytes, url: `${tarball.url}#${file}` }
+  }
+
+  /**
+   * Download and unpack a package tarball.
+   * @returns {Promise<{url: string, files: object.<string, ByteSequence>}>} The
+   * tarball URL and files, keyed by path inside the package.
+   * @param {string} name - The package name.
+   * @param {string} version - The exact package version.
+   * @private
+   */
+  _tarball (name, version) {
+    const key = `${name}@${version}`
+    if (this._tarballs[key] == null) {
+      this._tarballs[key] = (async () => {
+        const meta = (await this.metadata(name)).versions[version]
+        const url = meta && meta.dist && meta.dist.tarball
+          ? meta.dist.tarball
+          : `${this.registry}/${name}/-/${name.split('/').pop()}-${version}.tgz`
+        const { bytes } = await fetchBytes(url)
+        checkDist(bytes, meta && meta.dist, `${key} tarball ${url}`)
+        const files = {}
+        bytes.gunzip().untar()
+          .filter(entry => entry.type === 'file')
+          .forEach(entry => { files[entry.name.replace(/^[^/]*\//, '')] = entry.data })
+        return { url: url, files: files }
+      })()
+      this._tarballs[key].catch(() => { delete this._tarballs[key] })
+    }
+    return this._tarballs[key]
+  }
+}
+
+/**
+ * A local directory mirror, laid out like the module cache: one
+ * `<package>@<version>` directory per package version (scoped packages in
+ * their scope directory), each with its package.json. Metadata is built from
+ * these, with the highest release version as the `latest` dist-tag.
+ */
+const DirectoryRegistry = module.exports.DirectoryRegistry = class DirectoryRegistry extends Registry {
+  /**
+   * @param {string} path - The mirror directory path.
+   * @param {object} [options] - Registry options.
+   * @param {FileManager} [options.fileManager=FileManager.local()] - The FileManager to use.
+   */
+  constructor (path, options) {
+    super(options)
+    this.path = withoutSlash(path.replace(/^file:\/\//, ''))
+    this.fm = (options && options.fileManager) || FileManager.local()
+    this.name = this.path
+  }
+
+  /** @inheritdoc */
+  async metadata (name) {
+    const { fm } = this
+    const scoped = name.includes('/')
+    const dir = scoped ? fm.joinPath(this.path, name.split('/')[0]) : this.path
+    const prefix = `${name.split('/').pop()}@`
+    const versions = {}
+    if (fm.fileExists(dir)) {
+      for (let entry of fm.listContents(dir).filter(entry => entry.startsWith(prefix))) {
+        const pkgPath = fm.joinPath(fm.joinPath(dir, entry), 'package.json')
+        if (fm.fileExists(pkgPath)) {
+          versions[entry.slice(prefix.length)] = JSON.parse(await readFile(fm, pkgPath))
+        }
+      }
+    }
+    const releases = Object.keys(versions)
+      .map(str => ({ str: str, version: parseVersion(str) }))
+      .filter(({ version }) => version != null && !version.prerelease.length)
+      .sort((a, b) => compareVersions(b.version, a.version))
+    if (!Object.keys(versions).length) throw new Error(`${name} is not in ${this.path}.`)
+    const tags = releases.length ? { latest: releases[0].str } : {}
+    return { name: name, versions: versions, 'dist-tags': tags }
+  }
+
+  /** @inheritdoc */
+  async files (name, version) {
+    const packagePath = this._packagePath(name, version)
+    if (!this.fm.fileExists(packagePath)) throw new Error(`${name}@${version} is not in ${this.path}.`)
+    return packageFiles(this.fm, packagePath)
+  }
+
+  /** @inheritdoc */
+  async file (name, version, file) {
+    const path = this.fm.joinPath(this._packagePath(name, version), file)
+    if (!this.fm.fileExists(path)) throw new Error(`${name}@${version}/${file} is not in ${this.path}.`)
+    return { bytes: await readBytes(this.fm, path), url: `file://${path}` }
+  }
+
+  /**
+   * Get the directory path of a package version in the mirror.
+   * @returns {string} The path.
+   * @param {string} name - The package name.
+   * @param {string} version - The exact package version.
+   * @private
+   */
+  _packagePath (name, version) {
+    return this.fm.joinPath(this.path, `${name}@${version}`)
+  }
+}
+
+/**
+ * Node built in modules, which `require()` cannot provide outside Node.
+ * @private
+ */
+const builtins = [
+  'assert', 'async_hooks', 'buffer', 'child_process', 'cluster', 'console', 'constants',
+  'crypto', 'dgram', 'dns', 'domain', 'events', 'fs', 'http', 'http2', 'https', 'inspector',
+  'module', 'net', 'os', 'path', 'perf_hooks', 'process', 'punycode', 'querystring',
+  'readline', 'repl', 'stream', 'string_decoder', 'timers', 'tls', 'tty', 'url', 'util',
+  'v8', 'vm', 'worker_threads', 'zlib'
+]
+
+/**
+ * State shared while loading one module graph.
+ * @typedef {object} LoaderContext
+ * @property {FileManager} fm - The FileManager to use.
+ * @property {string} modulesPath - The `modules` directory path.
+ * @property {object} options - The normalised {@link unpkg} options, with `file` and `range`.
+ * @property {Array.<Registry>} registries - The registries to try, in order.
+ * @property {Lockfile} lock - The lockfile contents.
+ * @property {boolean} lockChanged - Whether the lockfile needs saving.
+ * @property {object.<string, object>} caches - The loaded `.unpkg-cache.json`
+ * records, keyed by package directory path.
+ * @property {Set.<string>} cachesChanged - The package directory paths whose
+ * cache records need saving.
+ * @private
+ */
+
+/**
+ * Set up the loader state from {@link unpkg} arguments.
+ * @returns {Promise<LoaderContext>} The loader state.
+ * @param {string|object} [file] - The file parameter or options object.
+ * @param {string} [version] - The version parameter.
+ * @param {object} [options] - The options parameter.
+ * @private
+ */
+async function loaderContext (file, version, options) {
+  const opts = file != null && typeof file === 'object'
+    ? Object.assign({}, file)
+    : Object.assign({ file: file, version: version }, options)
+  opts.range = `${opts.version || 'latest'}`.trim()
+  opts.ttl = opts.ttl != null ? Number(opts.ttl) : Infinity
+  if (Number.isNaN(opts.ttl) || opts.ttl < 0) throw new RangeError(`Invalid ttl '${opts.ttl}'.`)
+  const registries = (opts.registries || ['unpkg']).map(toRegistry)
+  if (!registries.length) throw new RangeError('At least one registry is needed.')
+
+  const fm = FileManager.iCloud() || FileManager.local()
+  const modulesPath = fm.joinPath(fm.documentsDirectory(), 'modules')
+  if (!fm.fileExists(modulesPath)) fm.createDirectory(modulesPath, true)
+
+  const lockPath = fm.joinPath(modulesPath, 'unpkg-lock.json')
+  const lock = fm.fileExists(lockPath)
+    ? JSON.parse(await readFile(fm, lockPath))
+    : { lockfileVersion: 1, packages: {} }
+  if (lock.packages == null) lock.packages = {}
+  return {
+    fm: fm,
+    modulesPath: modulesPath,
+    options: opts,
+    registries: registries,
+    lock: lock,
+    lockChanged: false,
+    caches: {},
+    cachesChanged: new Set()
+  }
+}
+
+/**
+ * Get the registry an `options.registries` item stands for.
+ * @returns {Registry} The registry.
+ * @param {string|Registry} item - A registry name, base URL, directory path or instance.
+ * @throws {RangeError} On unknown registries.
+ * @private
+ */
+function toRegistry (item) {
+  if (item != null && typeof item === 'object' && typeof item.file === 'function') return item
+  const str = `${item}`
+  if (str === 'unpkg') return new UnpkgRegistry()
+  if (str === 'jsdelivr') return new JsDelivrRegistry()
+  if (str === 'npm') return new NpmRegistry()
+  if (/^https?:\/\//.test(str)) return new UnpkgRegistry({ base: str })
+  if (/^(file:\/\/)?\//.test(str)) return new DirectoryRegistry(str)
+  throw new RangeError(`Unknown registry '${str}'.`)
+}
+
+/**
+ * Ask the registries in turn until one succeeds.
+ * @returns {Promise} The first result.
+ * @param {LoaderContext} ctx - The loader state.
+ * @param {string} what - What is asked for, for the error message.
+ * @param {Function} ask - The request, called with a {@link Registry}.
+ * @throws {Error} If all registries fail, listing their errors.
+ * @private
  */
-module.exports.unpkg = (package, file, version) => {
-  return new Promise((resolve, reject) => {
+async function fromRegistries (ctx, what, ask) {
+  const errors = []
+  for (let registry of ctx.registries) {
     try {
-      const jsFile = file || package
-      const jsFileName = jsFile.split('/').pop()
-      const pkgVersion = version ? `@${version}` : ''
-
-      const fm = FileManager.iCloud() || FileManager.local()
-      const modulesPath = fm.joinPath(fm.documentsDirectory(), 'modules')
-      const modulePath = fm.joinPath(modulesPath, `${package}${pkgVersion}`)
-      const filePath = fm.joinPath(modulePath, `${jsFileName}.js`)
-
-      if (!fm.fileExists(modulePath)) fm.createDirectory(modulePath, true)
-      if (fm.fileExists(filePath)) resolve(importModule(filePath))
-
-      let target = `https://unpkg.com/${package}${pkgVersion}/${jsFile}.js`
-      const req = new Request(target)
-      req.loadString().then(res => {
-        if (res) {
-          fm.writeString(filePath, `${res}`).then(() => {
-            resolve(importModule(filePath))
-          })
-        } else {
-          let errMsg = `Request to ${target} returned code ${req.resonse.statusCode}.`
-          reject(new Error(errMsg))
-      })
-
-    } catch(e) {
-      reject(e)
+      return await ask(registry)
+    } catch (e) {
+      errors.push(`${registry.name || registry.constructor.name}: ${e.message}`)
     }
+  }
+  throw new Error(`Cannot get ${what}: ${errors.join('; ')}`)
+}
+
+/**
+ * Remove trailing slashes from a URL or path.
+ * @returns {string} The URL or path.
+ * @param {string} str - The URL or path.
+ * @private
+ */
+function withoutSlash (str) {
+  return `${str}`.replace(/\/+$/, '')
+}
+
+/**
+ * Save the lockfile and package cache records, if they changed.
+ * @param {LoaderContext} ctx - The loader state.
+ * @private
+ */
+function saveState (ctx) {
+  const { fm } = ctx
+  if (ctx.lockChanged) {
+    writeFile(fm, fm.joinPath(ctx.modulesPath, 'unpkg-lock.json'), JSON.stringify(ctx.lock, null, 2))
+    ctx.lockChanged = false
+  }
+  for (let path of ctx.cachesChanged) {
+    if (fm.fileExists(path)) {
+      writeFile(fm, fm.joinPath(path, '.unpkg-cache.json'), JSON.stringify(ctx.caches[path], null, 2))
+    }
+  }
+  ctx.cachesChanged.clear()
+}
+
+/**
+ * Check if a timestamp is older than the `ttl` option allows.
+ * @returns {boolean} Whether the timestamp is stale; missing timestamps are,
+ * unless the `ttl` is infinite.
+ * @param {LoaderContext} ctx - The loader state.
+ * @param {?string} timestamp - The ISO 8601 timestamp.
+ * @private
+ */
+function isStale (ctx, timestamp) {
+  const ttl = ctx.options.ttl
+  if (ttl === Infinity) return false
+  const time = timestamp != null ? Date.parse(timestamp) : NaN
+  return Number.isNaN(time) || Date.now() - time > ttl
+}
+
+/**
+ * Create the error for something that would need downloading in offline mode.
+ * @returns {Error} The error.
+ * @param {string} what - What is not cached.
+ * @private
+ */
+function offlineError (what) {
+  return new Error(`${what} is not cached and unpkg is offline.`)
+}
+
+/**
+ * Read a text file, downloading it from iCloud first if necessary.
+ * @returns {Promise<string>} The file contents.
+ * @param {FileManager} fm - The FileManager to use.
+ * @param {string} path - The file path.
+ * @private
+ */
+async function readFile (fm, path) {
+  if (fm.isFileStoredIniCloud(path) && !fm.isFileDownloaded(path)) {
+    await fm.downloadFileFromiCloud(path)
+  }
+  return fm.readString(path)
+}
+
+/**
+ * Write a text file, creating its directory if necessary.
+ * @param {FileManager} fm - The FileManager to use.
+ * @param {string} path - The file path.
+ * @param {string} contents - The file contents.
+ * @private
+ */
+function writeFile (fm, path, contents) {
+  const dir = path.slice(0, path.lastIndexOf('/'))
+  if (!fm.fileExists(dir)) fm.createDirectory(dir, true)
+  if (typeof contents === 'string') fm.writeString(path, contents)
+  else fm.write(path, contents)
+}
+
+/**
+ * Read a file as bytes, downloading it from iCloud first if necessary.
+ * @returns {Promise<ByteSequence>} The file contents.
+ * @param {FileManager} fm - The FileManager to use.
+ * @param {string} path - The file path.
+ * @private
+ */
+async function readBytes (fm, path) {
+  if (fm.isFileStoredIniCloud(path) && !fm.isFileDownloaded(path)) {
+    await fm.downloadFileFromiCloud(path)
+  }
+  return ByteSequence.fromBase64(fm.read(path).toBase64String())
+}
+
+/**
+ * Get the Subresource Integrity string of some bytes.
+ * @returns {string} The SHA-256 integrity, as `sha256-<base64>`.
+ * @param {ByteSequence} bytes - The bytes.
+ * @private
+ */
+function integrityOf (bytes) {
+  return `sha256-${bytes.sha256().toBase64()}`
+}
+
+/**
+ * Check a downloaded tarball against the `integrity` (the strongest supported
+ * hash) or, failing that, the SHA-1 `shasum` of its registry metadata.
+ * Tarballs without either pass unchecked.
+ * @param {ByteSequence} bytes - The tarball.
+ * @param {?object} dist - The `dist` field of the version metadata.
+ * @param {string} what - The tarball, for the error message.
+ * @throws {Error} If the tarball does not match.
+ * @private
+ */
+function checkDist (bytes, dist, what) {
+  const algos = ['sha512', 'sha256', 'sha1']
+  const algoOf = entry => entry.split('-')[0]
+  const integrity = `${(dist && dist.integrity) || ''}`.split(/\s+/)
+    .map(entry => entry.split('?')[0])
+    .filter(entry => algos.includes(algoOf(entry)))
+    .sort((a, b) => algos.indexOf(algoOf(a)) - algos.indexOf(algoOf(b)))[0]
+  let expected, actual
+  if (integrity != null) {
+    expected = integrity
+    actual = `${algoOf(integrity)}-${bytes[algoOf(integrity)]().toBase64()}`
+  } else if (dist != null && dist.shasum != null) {
+    expected = `${dist.shasum}`.toLowerCase()
+    actual = bytes.sha1().toHex()
+  } else {
+    return
+  }
+  if (actual !== expected) throw new Error(`${what} does not match the registry’s ${expected} (got ${actual}).`)
+}
+
+/**
+ * Get the cache record of a package directory.
+ * @returns {Promise<object>} The record, with `files` holding a {@link CachedFile}
+ * for each downloaded file path.
+ * @param {LoaderContext} ctx - The loader state.
+ * @param {string} packagePath - The package directory path.
+ * @private
+ */
+async function cacheRecord (ctx, packagePath) {
+  if (ctx.caches[packagePath] == null) {
+    const { fm } = ctx
+    const recordPath = fm.joinPath(packagePath, '.unpkg-cache.json')
+    ctx.caches[packagePath] = fm.fileExists(recordPath)
+      ? JSON.parse(await readFile(fm, recordPath))
+      : { files: {} }
+  }
+  return ctx.caches[packagePath]
+}
+
+/**
+ * Download a package file into the module cache from the first registry that has
+ * it, and record where it came from.
+ * @returns {Promise<string>} The file contents.
+ * @param {LoaderContext} ctx - The loader state.
+ * @param {string} name - The package name.
+ * @param {string} version - The exact package version.
+ * @param {string} file - The file path inside the package.
+ * @private
+ */
+async function downloadFile (ctx, name, version, file) {
+  const { fm } = ctx
+  const packagePath = fm.joinPath(ctx.modulesPath, `${name}@${version}`)
+  if (ctx.options.offline) throw offlineError(`${name}@${version}/${file}`)
+
+  const { bytes, url } = await fromRegistries(ctx, `${name}@${version}/${file}`,
+    registry => registry.file(name, version, file))
+  const cache = await cacheRecord(ctx, packagePath)
+  const integrity = integrityOf(bytes)
+  const previous = cache.files[file]
+  if (previous != null && (previous.sourceIntegrity || previous.integrity) !== integrity) {
+    console.warn(`unpkg: ${name}@${version}/${file} changed since ${previous.fetchedAt}.`)
+  }
+
+  const text = bytes.toUTF8String()
+  const source = file.endsWith('.json') ? text : toCommonJS(text, `${name}@${version}/${file}`)
+  const cached = source === text ? bytes : ByteSequence.fromUTF8String(source)
+  writeFile(fm, fm.joinPath(packagePath, file), Data.fromBase64String(cached.toBase64()))
+  cache.files[file] = {
+    url: url,
+    fetchedAt: new Date().toISOString(),
+    integrity: integrityOf(cached),
+    size: cached.length
+  }
+  if (cached !== bytes) cache.files[file].sourceIntegrity = integrity
+  ctx.cachesChanged.add(packagePath)
+  return source
+}
+
+/**
+ * Find package versions in the module cache.
+ * @returns {Array.<{name: string, version: ?string, path: string}>} The cached packages.
+ * @param {LoaderContext} ctx - The loader state.
+ * @param {string} [pkg] - Only find this package, as `<package>` or `<package>@<version>`.
+ * @private
+ */
+function cachedPackages (ctx, pkg) {
+  const { fm } = ctx
+  const [name, version] = pkg != null ? splitSpec(pkg) : []
+  const dirs = []
+  fm.listContents(ctx.modulesPath).forEach(entry => {
+    const path = fm.joinPath(ctx.modulesPath, entry)
+    if (!fm.isDirectory(path)) return
+    if (!entry.startsWith('@')) return dirs.push({ dir: entry, path: path })
+    fm.listContents(path)
+      .filter(sub => fm.isDirectory(fm.joinPath(path, sub)))
+      .forEach(sub => dirs.push({ dir: `${entry}/${sub}`, path: fm.joinPath(path, sub) }))
   })
+  return dirs
+    .map(({ dir, path }) => {
+      const [cachedName, cachedVersion] = splitSpec(dir)
+      return { name: cachedName, version: cachedVersion, path: path }
+    })
+    .filter(cached => name == null || (cached.name === name &&
+      (version == null || cached.version === version)))
+    .sort((a, b) => a.name.localeCompare(b.name) || `${a.version}`.localeCompare(`${b.version}`))
+}
+
+/**
+ * List the files of a cached package, leaving out unpkg’s own records.
+ * @returns {Array.<string>} The file paths inside the package.
+ * @param {FileManager} fm - The FileManager to use.
+ * @param {string} packagePath - The package directory path.
+ * @private
+ */
+function packageFiles (fm, packagePath) {
+  const files = []
+  const walk = prefix => {
+    fm.listContents(prefix ? fm.joinPath(packagePath, prefix) : packagePath).forEach(entry => {
+      const file = prefix ? `${prefix}/${entry}` : entry
+      if (fm.isDirectory(fm.joinPath(packagePath, file))) walk(file)
+      else if (!/^\.unpkg-/.test(file)) files.push(file)
+    })
+  }
+  walk('')
+  return files.sort()
+}
+
+/**
+ * Split `<package>@<version>` into its parts.
+ * @returns {Array.<?string>} The package name and version (null if there is none).
+ * @param {string} spec - The package spec; scoped package names are supported.
+ * @private
+ */
+function splitSpec (spec) {
+  const at = spec.lastIndexOf('@')
+  return at > 0 ? [spec.slice(0, at), spec.slice(at + 1)] : [spec, null]
+}
+
+/**
+ * Get the package name of a lockfile entry key.
+ * @returns {string} The package name.
+ * @param {string} spec - The `<package>@<range>` key.
+ * @private
+ */
+function specName (spec) {
+  return splitSpec(spec)[0]
+}
+
+/**
+ * Resolve a package version range, using the lockfile where possible.
+ * @returns {Promise<LockedPackage>} The resolved package.
+ * @param {LoaderContext} ctx - The loader state.
+ * @param {string} name - The package name.
+ * @param {string} range - The version, range or dist-tag.
+ * @throws {Error} If no version matches.
+ * @private
+ */
+async function resolvePackage (ctx, name, range) {
+  const spec = `${name}@${range}`
+  let locked = ctx.options.update ? null : ctx.lock.packages[spec]
+  const floating = parseVersion(range) == null
+  if (locked != null && ctx.options.offline) return locked
+  if (locked == null || locked.dependencies == null || (floating && isStale(ctx, locked.resolvedAt))) {
+    if (ctx.options.offline) throw offlineError(spec)
+    const meta = await fromRegistries(ctx, `the metadata of ${name}`, registry => registry.metadata(name))
+    const exact = resolveVersion(meta, range)
+    if (exact == null) throw new Error(`No version of ${name} matches '${range}'.`)
+    const pkg = meta.versions[exact]
+    locked = {
+      version: exact,
+      main: entryPoint(pkg),
+      dependencies: Object.assign({}, pkg.optionalDependencies, pkg.peerDependencies, pkg.dependencies),
+      resolvedAt: new Date().toISOString()
+    }
+    ctx.lock.packages[spec] = locked
+    ctx.lockChanged = true
+  }
+  return locked
+}
+
+/**
+ * Find the file a path inside a package refers to, trying the extensions and
+ * index files `require()` does. Local files win; otherwise the package file
+ * listing is consulted (and cached next to the package files, until the `ttl`
+ * expires or an `update` is asked for).
+ * @returns {Promise<?string>} The file path inside the package, or null if there is none.
+ * @param {LoaderContext} ctx - The loader state.
+ * @param {string} name - The package name.
+ * @param {string} version - The exact package version.
+ * @param {string} path - The path inside the package, without leading './'.
+ * @private
+ */
+async function resolveFile (ctx, name, version, path) {
+  const { fm } = ctx
+  const packagePath = fm.joinPath(ctx.modulesPath, `${name}@${version}`)
+  const base = path.replace(/\/+$/, '')
+  const candidates = [base, `${base}.js`, `${base}.json`, `${base}/index.js`, `${base}/index.json`]
+    .filter(candidate => candidate && !candidate.startsWith('/'))
+  const local = candidates.find(candidate => fm.fileExists(fm.joinPath(packagePath, candidate)) &&
+    !fm.isDirectory(fm.joinPath(packagePath, candidate)))
+  if (local != null) return local
+
+  const listingPath = fm.joinPath(packagePath, '.unpkg-files.json')
+  let listing = fm.fileExists(listingPath) ? JSON.parse(await readFile(fm, listingPath)) : null
+  if (Array.isArray(listing)) listing = { files: listing } // recorded without a timestamp
+  if (listing == null || (!ctx.options.offline && (ctx.options.update || isStale(ctx, listing.fetchedAt)))) {
+    if (ctx.options.offline) throw offlineError(`The file listing of ${name}@${version}`)
+    const files = await fromRegistries(ctx, `the file listing of ${name}@${version}`,
+      registry => registry.files(name, version))
+    listing = { fetchedAt: new Date().toISOString(), files: files }
+    writeFile(fm, listingPath, JSON.stringify(listing))
+  }
+  return candidates.find(candidate => listing.files.includes(candidate)) || null
+}
+
+/**
+ * Flatten an unpkg `?meta` file listing.
+ * @returns {Array.<string>} The file paths, without leading '/'.
+ * @param {object} meta - The listing, nested or flat.
+ * @private
+ */
+function listFiles (meta) {
+  const files = []
+  const walk = node => {
+    if (Array.isArray(node.files)) node.files.forEach(walk)
+    else if (node.path != null && node.type !== 'directory') files.push(node.path.replace(/^\//, ''))
+  }
+  walk(meta)
+  return files
+}
+
+/**
+ * Get the module specifiers passed as string literals to `require()` in a source.
+ * Calls are matched on the masked source (see {@link scanSource}), so those in
+ * comments and strings do not count; the specifiers are read from the source.
+ * @returns {Array.<string>} The distinct specifiers.
+ * @param {string} source - The module source.
+ * @private
+ */
+function requiredSpecifiers (source) {
+  const specifiers = new Set()
+  const calls = /(^|[^.\w$])(require\s*\(\s*)(['"`])([^'"`\n]+)\3\s*\)/g
+  const { masked } = scanSource(source)
+  let match
+  while ((match = calls.exec(masked)) != null) {
+    const start = match.index + match[1].length + match[2].length + 1
+    // masking delimits regular expressions by `"`, too
+    if (source[start - 1] === match[3]) specifiers.add(source.slice(start, start + match[4].length))
+  }
+  return [...specifiers]
+}
+
+/**
+ * Join a relative specifier to the directory of a package file.
+ * @returns {?string} The normalised path inside the package, or null if it leaves the package.
+ * @param {string} file - The requiring file path inside the package.
+ * @param {string} specifier - The relative specifier.
+ * @private
+ */
+function joinRelative (file, specifier) {
+  const parts = file.split('/').slice(0, -1)
+  for (const part of specifier.split('/')) {
+    if (part === '..') {
+      if (!parts.length) return null
+      parts.pop()
+    } else if (part !== '.' && part !== '') {
+      parts.push(part)
+    }
+  }
+  return parts.join('/') + (specifier.endsWith('/') ? '/' : '')
+}
+
+/**
+ * Download a module and, recursively, all modules it requires.
+ * @returns {Promise<DependencyGraph>} The dependency graph.
+ * @param {LoaderContext} ctx - The loader state.
+ * @param {string} name - The root package name.
+ * @private
+ */
+async function buildGraph (ctx, name) {
+  const { fm } = ctx
+  const modules = {}
+
+  const visit = async (name, pkg, file) => {
+    const id = `${name}@${pkg.version}/${file}`
+    if (modules[id] != null) return id
+
+    const packagePath = fm.joinPath(ctx.modulesPath, `${name}@${pkg.version}`)
+    const path = fm.joinPath(packagePath, file)
+    const node = { id: id, name: name, version: pkg.version, file: file, path: path, requires: {} }
+    modules[id] = node
+
+    const cached = (await cacheRecord(ctx, packagePath)).files[file]
+    let source
+    if (!fm.fileExists(path) || (!ctx.options.offline && isStale(ctx, cached && cached.fetchedAt))) {
+      source = await downloadFile(ctx, name, pkg.version, file)
+    } else if (ctx.options.verify) {
+      const bytes = await readBytes(fm, path)
+      if (cached == null) {
+        console.warn(`unpkg: ${id} has no recorded integrity.`)
+      } else if (integrityOf(bytes) !== cached.integrity) {
+        throw new Error(`${id} does not match its recorded integrity ${cached.integrity}.`)
+      }
+      source = bytes.toUTF8String()
+    } else {
+      source = await readFile(fm, path)
+    }
+    if (file.endsWith('.json')) return id
+
+    for (const specifier of requiredSpecifiers(source)) {
+      node.requires[specifier] = await resolveSpecifier(specifier, name, pkg, file)
+    }
+    return id
+  }
+
+  const resolveSpecifier = async (specifier, name, pkg, file) => {
+    if (/^\.{0,2}\//.test(specifier)) {
+      const path = joinRelative(file, specifier)
+      const target = path != null ? await resolveFile(ctx, name, pkg.version, path) : null
+      return target != null ? visit(name, pkg, target) : null
+    }
+
+    const bare = specifier.replace(/^node:/, '')
+    const [, depName, subpath] = bare.match(/^((?:@[^/]+\/)?[^/]+)(?:\/(.*))?$/) || []
+    if (depName == null || specifier.startsWith('node:') || builtins.includes(depName)) return null
+    try {
+      const range = depName === name ? pkg.version : pkg.dependencies[depName] || 'latest'
+      const dep = await resolvePackage(ctx, depName, range)
+      const target = subpath ? await resolveFile(ctx, depName, dep.version, subpath) : dep.main
+      return target != null ? visit(depName, dep, target) : null
+    } catch (e) {
+      console.warn(`unpkg: cannot provide '${specifier}' required by ${name}: ${e.message}`)
+      return null
+    }
+  }
+
+  const opts = ctx.options
+  const pkg = await resolvePackage(ctx, name, opts.range)
+  const file = opts.file != null ? await resolveFile(ctx, name, pkg.version, opts.file.replace(/^\.?\//, '')) : pkg.main
+  if (file == null) throw new Error(`Cannot find file '${opts.file}' in ${name}@${pkg.version}.`)
+  const root = await visit(name, pkg, file)
+
+  saveState(ctx)
+  return { root: root, modules: modules, cycles: findCycles(root, modules) }
+}
+
+/**
+ * Find `require` cycles in a module graph by depth first search.
+ * @returns {Array.<Array.<string>>} The cycles, as module id paths from and to the same module.
+ * @param {string} root - The root module id.
+ * @param {object.<string, ModuleNode>} modules - The modules, keyed by id.
+ * @private
+ */
+function findCycles (root, modules) {
+  const cycles = []
+  const done = new Set()
+  const stack = []
+  const walk = id => {
+    const onStack = stack.indexOf(id)
+    if (onStack > -1) {
+      cycles.push(stack.slice(onStack).concat(id))
+      return
+    }
+    if (done.has(id)) return
+    stack.push(id)
+    Object.values(modules[id].requires).filter(dep => dep != null).forEach(walk)
+    stack.pop()
+    done.add(id)
+  }
+  walk(root)
+  return cycles
+}
+
+/**
+ * Run the root module of a graph with a CommonJS `require` backed by the graph.
+ * Modules are cached per run, and registered before they run, so `require`
+ * cycles resolve to partial exports like in Node.
+ * @returns {*} The root module exports.
+ * @param {LoaderContext} ctx - The loader state.
+ * @param {DependencyGraph} graph - The dependency graph.
+ * @throws {Error} If a module requires a specifier the graph cannot provide.
+ * @private
+ */
+function runGraph (ctx, graph) {
+  const { fm } = ctx
+  const cache = {}
+  const process = { env: { NODE_ENV: 'production' }, browser: true, version: '', versions: {} }
+
+  const load = id => {
+    if (cache[id] != null) return cache[id].exports
+
+    const node = graph.modules[id]
+    const module = { id: id, filename: node.file, exports: {}, loaded: false }
+    cache[id] = module
+    const source = fm.readString(node.path)
+    if (node.file.endsWith('.json')) {
+      module.exports = JSON.parse(source)
+    } else {
+      const require = specifier => {
+        const dep = node.requires[specifier]
+        if (dep == null) {
+          const reason = specifier in node.requires ? 'is not available' : 'was not found by static analysis'
+          throw new Error(`Cannot find module '${specifier}' from '${id}': it ${reason}.`)
+        }
+        return load(dep)
+      }
+      const dirname = node.file.split('/').slice(0, -1).join('/')
+      const params = ['module', 'exports', 'require', '__filename', '__dirname', 'process', 'global']
+      Function(...params, source)(module, module.exports, require, node.file, dirname, process, globalThis)
+    }
+    module.loaded = true
+    return module.exports
+  }
+  return load(graph.root)
+}
+
+/**
+ * Keywords after which a `/` starts a regular expression, not a division.
+ * @private
+ */
+const regexPrefixes = [
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]
+
+/**
+ * The result of scanning a JavaScript source.
+ * @typedef {object} ScannedSource
+ * @property {string} masked - The source with the contents of comments, strings,
+ * template literals and regular expressions blanked out (line breaks are kept),
+ * and regular expressions delimited by `"`; positions match the source.
+ * @property {Array.<{word: string, pos: number, depth: number}>} keywords - The
+ * `import` and `export` keywords in code, with their bracket nesting depth.
+ * @private
+ */
+
+/**
+ * Scan a JavaScript source for `import` and `export` keywords outside comments,
+ * strings and regular expressions. This is a tokenizer, not a parser: regular
+ * expressions are told from divisions by the preceding token.
+ * @returns {ScannedSource} The scan result.
+ * @param {string} source - The source.
+ * @private
+ */
+function scanSource (source) {
+  const chars = source.split('')
+  const keywords = []
+  const stack = []
+  const length = source.length
+  let last = ''
+  let pos = 0
+
+  const blank = (from, to) => {
+    for (let idx = from; idx < to && idx < length; idx++) {
+      if (chars[idx] !== '\n') chars[idx] = ' '
+    }
+  }
+  const template = () => {
+    const start = pos
+    for (; pos < length; pos++) {
+      if (source[pos] === '\\') {
+        pos++
+      } else if (source[pos] === '`') {
+        blank(start, pos++)
+        return
+      } else if (source[pos] === '$' && source[pos + 1] === '{') {
+        blank(start, pos)
+        stack.push('`')
+        pos += 2
+        return
+      }
+    }
+    blank(start, length)
+  }
+  const regexAllowed = () => last === '' || regexPrefixes.includes(last) ||
+    (last.length === 1 && '(,=:[!&|?{};+-*%<>~^}'.includes(last))
+
+  while (pos < length) {
+    const char = source[pos]
+    const next = source[pos + 1]
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', pos)
+      blank(pos, end < 0 ? length : end)
+      pos = end < 0 ? length : end
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', pos + 2)
+      blank(pos, end < 0 ? length : end + 2)
+      pos = end < 0 ? length : end + 2
+    } else if (char === '"' || char === "'") {
+      let end = pos + 1
+      while (end < length && source[end] !== char && source[end] !== '\n') end += source[end] === '\\' ? 2 : 1
+      blank(pos + 1, end)
+      pos = end + 1
+      last = '"'
+    } else if (char === '`') {
+      pos++
+      template()
+      last = '"'
+    } else if (char === '/' && regexAllowed()) {
+      let end = pos + 1
+      let inClass = false
+      for (; end < length && source[end] !== '\n'; end++) {
+        if (source[end] === '\\') end++
+        else if (source[end] === '[') inClass = true
+        else if (source[end] === ']') inClass = false
+        else if (source[end] === '/' && !inClass) break
+      }
+      blank(pos + 1, end)
+      chars[pos] = '"'
+      if (end < length) chars[end] = '"'
+      pos = end + 1
+      while (pos < length && /[\w$]/.test(source[pos])) chars[pos++] = ' '
+      last = '"'
+    } else if (/[A-Za-z_$\u0080-\uffff]/.test(char)) {
+      let end = pos + 1
+      while (end < length && /[\w$\u0080-\uffff]/.test(source[end])) end++
+      const word = source.slice(pos, end)
+      if ((word === 'import' || word === 'export') && source[pos - 1] !== '.') {
+        keywords.push({ word: word, pos: pos, depth: stack.length })
+      }
+      last = word
+      pos = end
+    } else if (char === '}' && stack[stack.length - 1] === '`') {
+      stack.pop()
+      pos++
+      template()
+      last = '"'
+    } else {
+      if ('({['.includes(char)) stack.push(char)
+      else if (')]}'.includes(char)) stack.pop()
+      if (!/\s/.test(char)) last = char
+      pos++
+    }
+  }
+  return { masked: chars.join(''), keywords: keywords }
+}
+
+/**
+ * Find the bracket closing the one at a position.
+ * @returns {number} The closing bracket position, or the text length if it is missing.
+ * @param {string} text - The masked source.
+ * @param {number} pos - The opening bracket position.
+ * @private
+ */
+function closingBracket (text, pos) {
+  let depth = 0
+  for (let idx = pos; idx < text.length; idx++) {
+    if ('({['.includes(text[idx])) depth++
+    else if (')}]'.includes(text[idx]) && --depth === 0) return idx
+  }
+  return text.length
+}
+
+/**
+ * Split masked source text at a separator outside brackets.
+ * @returns {Array.<string>} The parts.
+ * @param {string} text - The masked source text.
+ * @param {string} separator - The separator character.
+ * @private
+ */
+function splitTopLevel (text, separator) {
+  const parts = []
+  let depth = 0
+  let start = 0
+  for (let idx = 0; idx < text.length; idx++) {
+    if ('({['.includes(text[idx])) depth++
+    else if (')}]'.includes(text[idx])) depth--
+    else if (depth === 0 && text[idx] === separator) {
+      parts.push(text.slice(start, idx))
+      start = idx + 1
+    }
+  }
+  return parts.concat(text.slice(start))
+}
+
+/**
+ * Get the names a binding pattern (`a`, `{ a, b: [c, ...d] = [] }`) declares.
+ * @returns {Array.<string>} The declared names.
+ * @param {string} pattern - The masked pattern text.
+ * @private
+ */
+function patternNames (pattern) {
+  const text = pattern.trim().replace(/^\.\.\.\s*/, '')
+  if (text[0] !== '{' && text[0] !== '[') {
+    const match = text.match(/^[A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*/)
+    return match ? [match[0]] : []
+  }
+  const isObject = text[0] === '{'
+  return splitTopLevel(text.slice(1, closingBracket(text, 0)), ',').reduce((names, part) => {
+    const target = splitTopLevel(part, '=')[0]
+    const colon = isObject ? splitTopLevel(target, ':') : [target]
+    return names.concat(patternNames(colon[colon.length - 1]))
+  }, [])
+}
+
+/**
+ * Check if a line break in masked source ends a statement, by automatic
+ * semicolon insertion rules of thumb: neither the code before nor the code
+ * after it can continue an expression.
+ * @returns {boolean} Whether the statement ends.
+ * @param {string} text - The masked source.
+ * @param {number} pos - The line break position.
+ * @private
+ */
+function endsStatement (text, pos) {
+  const before = text.slice(0, pos).match(/\S\s*$/)
+  const after = text.slice(pos).match(/^\s*(\S)/)
+  if (before == null || after == null) return true
+  return !'.,=+-*/%&|^<>?:!~('.includes(before[0][0]) && !'.,=+-*/%&|^<>?:(['.includes(after[1])
+}
+
+/**
+ * Get the names a `const`, `let` or `var` declaration declares.
+ * @returns {Array.<string>} The declared names.
+ * @param {string} text - The masked source.
+ * @param {number} pos - The position after the declaration keyword.
+ * @private
+ */
+function declaredNames (text, pos) {
+  let names = []
+  let idx = pos
+  while (idx < text.length) {
+    idx = text.slice(idx).search(/\S/) + idx
+    const end = '{['.includes(text[idx]) ? closingBracket(text, idx) + 1 : text.slice(idx).search(/[^\w$\u0080-\uffff]|$/) + idx
+    names = names.concat(patternNames(text.slice(idx, end)))
+
+    let depth = 0
+    for (idx = end; idx < text.length; idx++) {
+      const char = text[idx]
+      if ('({['.includes(char)) depth++
+      else if (')}]'.includes(char) && depth-- === 0) return names
+      else if (depth === 0 && (char === ';' || (char === '\n' && endsStatement(text, idx)))) return names
+      else if (depth === 0 && char === ',') break
+    }
+    idx++
+  }
+  return names
+}
+
+/**
+ * Parse the bindings of an import clause (`a, { b as c }` or `* as d`).
+ * @returns {Array.<Array.<string>>} The [imported, local] name pairs; the
+ * imported name is 'default' for default imports and '*' for namespaces.
+ * @param {string} clause - The masked import clause.
+ * @private
+ */
+function importBindings (clause) {
+  return splitTopLevel(clause, ',').reduce((bindings, part) => {
+    const item = part.trim()
+    const namespace = item.match(/^\*\s*as\s+([\w$\u0080-\uffff]+)$/)
+    if (namespace) return bindings.concat([['*', namespace[1]]])
+    if (item[0] !== '{') return item ? bindings.concat([['default', item]]) : bindings
+    return bindings.concat(exportBindings(item.slice(1, -1)))
+  }, [])
+}
+
+/**
+ * Parse the items of an import or export list (`a, b as c`).
+ * @returns {Array.<Array.<string>>} The [inner, outer] name pairs.
+ * @param {string} list - The masked list, without braces.
+ * @private
+ */
+function exportBindings (list) {
+  return list.split(',')
+    .map(item => item.trim().split(/\s+as\s+/))
+    .filter(names => names[0] !== '')
+    .map(names => [names[0], names[names.length - 1]])
+}
+
+/**
+ * The statements {@link toCommonJS} converts, matched on masked source.
+ * @private
+ */
+const esmSyntax = {
+  importBare: /import\s*(["'])/y,
+  importFrom: /import\s*([\w$\u0080-\uffff*{][^;"']*?)\s*from\s*(["'])/y,
+  exportDefault: /export\s+default\s+/y,
+  defaultFunction: /(?:async\s+)?function\b\s*\*?\s*([A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*)?/y,
+  defaultClass: /class\b\s*([A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*)?/y,
+  exportStar: /export\s*\*\s*(?:as\s+([\w$\u0080-\uffff]+)\s*)?from\s*(["'])/y,
+  exportList: /export\s*\{([^}]*)\}(?:\s*from\s*(["']))?/y,
+  exportDeclaration: /export\s+(?:(?:async\s+)?function\b\s*\*?\s*([\w$\u0080-\uffff]+)|class\s+([\w$\u0080-\uffff]+)|(?:const|let|var)\s)/y,
+  attributes: /\s*(?:(?:with|assert)\s*\{[^}]*\})?[ \t]*;?/y
+}
+
+/**
+ * Helper functions converted modules may need, by name.
+ * @private
+ */
+const esmHelpers = {
+  __esmDefault: 'function __esmDefault (m) { return m != null && m.__esModule ? m.default : m }',
+  __esmStar: 'function __esmStar (target, m) { Object.keys(m).forEach(function (key) { ' +
+    "if (key !== 'default' && key !== '__esModule' && !Object.prototype.hasOwnProperty.call(target, key)) " +
+    'Object.defineProperty(target, key, { enumerable: true, get: function () { return m[key] } }) }) }'
+}
+
+/**
+ * Convert an ES module to CommonJS. Static imports become `require()` calls in
+ * place, exports become getters on `exports` (defined before the module body
+ * runs, so they are live and survive `require` cycles) and the module is marked
+ * with `__esModule`, so default imports interoperate with both module kinds.
+ * Line numbers are kept.
+ * @returns {string} The CommonJS source; the source itself if it has no
+ * `import` or `export` declarations.
+ * @param {string} source - The module source.
+ * @param {string} id - The module id, for error messages.
+ * @throws {SyntaxError} If the module uses constructs that cannot be converted,
+ * listing them all.
+ * @private
+ */
+function toCommonJS (source, id) {
+  const { masked, keywords } = scanSource(source)
+  const edits = []
+  const getters = []
+  const helpers = new Set()
+  const unsupported = []
+  let temps = 0
+
+  const lineOf = pos => source.slice(0, pos).split('\n').length
+  const match = (name, pos) => {
+    esmSyntax[name].lastIndex = pos
+    return esmSyntax[name].exec(masked)
+  }
+  const edit = (start, end, text) => {
+    const lines = source.slice(start, end).split('\n').length - 1
+    edits.push({ start: start, end: end, text: text + '\n'.repeat(lines) })
+  }
+  const specifier = quote => {
+    const end = masked.indexOf(masked[quote], quote + 1)
+    const attributes = match('attributes', end + 1)
+    return { name: source.slice(quote + 1, end), end: end + 1 + attributes[0].length }
+  }
+  const requireTemp = name => {
+    const temp = `__esm${temps++}`
+    return { temp: temp, code: `const ${temp} = require(${JSON.stringify(name)});` }
+  }
+  const imported = (temp, name) => {
+    if (name === '*') return temp
+    if (name !== 'default') return `${temp}.${name}`
+    helpers.add('__esmDefault')
+    return `__esmDefault(${temp})`
+  }
+
+  keywords.forEach(({ word, pos, depth }) => {
+    const after = masked.slice(pos + word.length).match(/^\s*(\S?)/)[1]
+    if (word === 'import' && after === '.') {
+      unsupported.push(`import.meta on line ${lineOf(pos)}`)
+    } else if (word === 'import' && after === '(') {
+      if (depth === 0) unsupported.push(`top level dynamic import() on line ${lineOf(pos)}`)
+    } else if (depth === 0 && word === 'import') {
+      let found = match('importBare', pos)
+      if (found != null) {
+        const spec = specifier(found.index + found[0].length - 1)
+        return edit(pos, spec.end, `require(${JSON.stringify(spec.name)});`)
+      }
+      found = match('importFrom', pos)
+      if (found == null) return unsupported.push(`unrecognised import on line ${lineOf(pos)}`)
+      const spec = specifier(found.index + found[0].length - 1)
+      const { temp, code } = requireTemp(spec.name)
+      const bindings = importBindings(found[1])
+        .map(([name, local]) => ` const ${local} = ${imported(temp, name)};`)
+      edit(pos, spec.end, code + bindings.join(''))
+    } else if (depth === 0) {
+      let found = match('exportDefault', pos)
+      if (found != null) {
+        const start = pos + found[0].length
+        const declaration = match('defaultFunction', start) || match('defaultClass', start)
+        const name = declaration != null && declaration[1] !== 'extends' ? declaration[1] : null
+        if (name == null) return edit(pos, start, 'exports.default = ')
+        getters.push(['default', name])
+        return edit(pos, start, '')
+      }
+      if ((found = match('exportStar', pos)) != null) {
+        const spec = specifier(found.index + found[0].length - 1)
+        if (found[1] == null) {
+          helpers.add('__esmStar')
+          return edit(pos, spec.end, `__esmStar(exports, require(${JSON.stringify(spec.name)}));`)
+        }
+        const { temp, code } = requireTemp(spec.name)
+        getters.push([found[1], temp])
+        return edit(pos, spec.end, code)
+      }
+      if ((found = match('exportList', pos)) != null) {
+        const bindings = exportBindings(found[1])
+        if (found[2] == null) {
+          bindings.forEach(binding => getters.push([binding[1], binding[0]]))
+          return edit(pos, found.index + found[0].length + match('attributes', found.index + found[0].length)[0].length, '')
+        }
+        const spec = specifier(found.index + found[0].length - 1)
+        const { temp, code } = requireTemp(spec.name)
+        bindings.forEach(([name, outer]) => getters.push([outer, imported(temp, name)]))
+        return edit(pos, spec.end, code)
+      }
+      if ((found = match('exportDeclaration', pos)) != null) {
+        const keyword = masked.slice(pos).match(/^export\s+/)[0]
+        const names = found[1] || found[2]
+          ? [found[1] || found[2]]
+          : declaredNames(masked, found.index + found[0].length)
+        names.forEach(name => getters.push([name, name]))
+        return edit(pos, pos + keyword.length, '')
+      }
+      unsupported.push(`unrecognised export on line ${lineOf(pos)}`)
+    }
+  })
+
+  if (unsupported.length) {
+    throw new SyntaxError(`Cannot convert ${id} to CommonJS: it uses ${unsupported.join(', ')}.`)
+  }
+  if (!edits.length) return source
+
+  let converted = source
+  edits.sort((a, b) => b.start - a.start).forEach(({ start, end, text }) => {
+    converted = converted.slice(0, start) + text + converted.slice(end)
+  })
+  const prologue = ["'use strict'", "Object.defineProperty(exports, '__esModule', { value: true })"]
+    .concat(getters.map(([name, expression]) => `Object.defineProperty(exports, ${JSON.stringify(name)}, ` +
+      `{ enumerable: true, get: function () { return ${expression} } })`))
+    .concat([...helpers].map(helper => esmHelpers[helper]))
+  return `${prologue.join('; ')}; ${converted}`
+}
+
+/**
+ * Load a URL, retrying on network errors.
+ * @returns {Promise<{req: Request, body: *}>} The loaded request and its response body.
+ * @param {string} url - The URL to load.
+ * @param {string} loader - The Request method to load with, i.e. 'load' or 'loadString'.
+ * @throws {Error} If the response status is not 2xx.
+ * @private
+ */
+async function load (url, loader) {
+  return retry(async () => {
+    const req = new Request(url)
+    const body = await req[loader]()
+    const status = req.response.statusCode
+    if (status < 200 || status > 299) {
+      const err = new Error(`Request to ${url} returned code ${status}.`)
+      err.statusCode = status
+      throw err
+    }
+    return { req, body }
+  }, {
+    retries: 2,
+    retryOn: e => e.statusCode == null || e.statusCode >= 500
+  })
+}
+
+/**
+ * Load a URL as bytes.
+ * @returns {Promise<{bytes: ByteSequence, url: string}>} The response body and
+ * the URL it came from, after redirects.
+ * @param {string} url - The URL to load.
+ * @private
+ */
+async function fetchBytes (url) {
+  const { req, body } = await load(url, 'load')
+  return { bytes: ByteSequence.fromBase64(body.toBase64String()), url: req.response.url || url }
+}
+
+/**
+ * Add a `.js` extension to a package file path that has no known one.
+ * @returns {string} The file path, without leading './'.
+ * @param {string} file - The package file path.
+ * @private
+ */
+function withExtension (file) {
+  let path = file.replace(/^\.?\//, '')
+  if (path === '' || path.endsWith('/')) return `${path}index.js`
+  return /\.([cm]?js|json)$/.test(path) ? path : `${path}.js`
+}
+
+/**
+ * Find the CommonJS entry point of a package, falling back to the ES module
+ * one (which will be converted) for packages without.
+ * @returns {string} The entry file path inside the package.
+ * @param {object} pkg - The package.json contents.
+ * @private
+ */
+function entryPoint (pkg) {
+  let target = pkg.exports
+  if (target != null && typeof target === 'object' && !Array.isArray(target)) {
+    const keys = Object.keys(target)
+    if (keys.some(key => key.startsWith('.'))) target = target['.']
+  }
+  target = exportTarget(target)
+  return withExtension(target || pkg.main || pkg.module || 'index.js')
+}
+
+/**
+ * Resolve a package.json `exports` target for CommonJS consumption.
+ * @returns {?string} The target path, or null if there is none.
+ * @param {string|Array|object} target - The target, possibly with conditions.
+ * @private
+ */
+function exportTarget (target) {
+  if (target == null || typeof target === 'string') return target || null
+  if (Array.isArray(target)) {
+    return target.map(exportTarget).find(path => path != null) || null
+  }
+  for (let condition of ['require', 'node', 'default', 'import']) {
+    let path = exportTarget(target[condition])
+    if (path != null) return path
+  }
+  return null
+}
+
+/**
+ * A parsed semantic version.
+ * @typedef {object} SemVer
+ * @property {Array.<number>} release - The major, minor and patch numbers.
+ * @property {Array.<string|number>} prerelease - The prerelease identifiers.
+ * @private
+ */
+
+/**
+ * Parse a semantic version.
+ * @returns {?SemVer} The version, or null if invalid.
+ * @param {string} str - The version string (an initial 'v' is allowed).
+ * @private
+ */
+function parseVersion (str) {
+  const match = `${str}`.trim().match(/^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/)
+  if (match == null) return null
+  return {
+    release: match.slice(1, 4).map(Number),
+    prerelease: match[4] ? match[4].split('.').map(id => /^\d+$/.test(id) ? Number(id) : id) : []
+  }
+}
+
+/**
+ * Compare two semantic versions by precedence.
+ * @returns {number} Negative if `a` < `b`, positive if `a` > `b`, 0 if equal.
+ * @param {SemVer} a - The first version.
+ * @param {SemVer} b - The second version.
+ * @private
+ */
+function compareVersions (a, b) {
+  for (let idx = 0; idx < 3; idx++) {
+    if (a.release[idx] !== b.release[idx]) return a.release[idx] - b.release[idx]
+  }
+  if (!a.prerelease.length || !b.prerelease.length) {
+    return b.prerelease.length - a.prerelease.length // releases rank above prereleases
+  }
+  for (let idx = 0; idx < Math.max(a.prerelease.length, b.prerelease.length); idx++) {
+    const [x, y] = [a.prerelease[idx], b.prerelease[idx]]
+    if (x === y) continue
+    if (x == null) return -1
+    if (y == null) return 1
+    if (typeof x !== typeof y) return typeof x === 'number' ? -1 : 1
+    return x < y ? -1 : 1
+  }
+  return 0
+}
+
+/**
+ * A primitive comparator: an operator and a version.
+ * @typedef {Array} Comparator
+ * @property {string} 0 - One of '<', '<=', '>', '>=', '='.
+ * @property {SemVer} 1 - The version to compare with.
+ * @private
+ */
+
+/**
+ * Desugar a comparator with a possibly partial version (like `^1.2` or `>=2`)
+ * into primitive comparators.
+ * @returns {Array.<Comparator>} The primitive comparators; empty for “any version”.
+ * @param {string} op - The operator: '', '=', '<', '<=', '>', '>=', '~' or '^'.
+ * @param {string} partial - The (partial) version, with 'x', 'X' or '*' wildcards.
+ * @throws {SyntaxError} On invalid versions.
+ * @private
+ */
+function desugar (op, partial) {
+  const match = partial.match(/^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/)
+  if (match == null) throw new SyntaxError(`Invalid version in range: '${partial}'.`)
+  const parts = match.slice(1, 4).map(part => part == null || /^[xX*]$/.test(part) ? null : Number(part))
+  const given = parts.indexOf(null) < 0 ? 3 : parts.indexOf(null)
+  const prerelease = given === 3 && match[4] ? parseVersion(`0.0.0-${match[4]}`).prerelease : []
+  const version = (m, n, p, pre) => ({ release: [m, n, p], prerelease: pre || [] })
+  const floor = version(parts[0] || 0, parts[1] || 0, parts[2] || 0, prerelease)
+  const bump = idx => { // the first version after the partial one, as prerelease bound
+    const release = [0, 1, 2].map(i => i < idx ? parts[i] : i === idx ? parts[i] + 1 : 0)
+    return version(...release, [0])
+  }
+
+  if (given === 0) return op === '<' || op === '>' ? [['<', version(0, 0, 0, [0])]] : []
+  switch (op) {
+    case '^': {
+      const first = [0, 1, 2].find(idx => idx >= given - 1 || parts[idx] !== 0)
+      return [['>=', floor], ['<', bump(Math.min(first, given - 1))]]
+    }
+    case '~':
+      return [['>=', floor], ['<', bump(given > 1 ? 1 : 0)]]
+    case '>':
+      return given === 3 ? [['>', floor]] : [['>=', bump(given - 1)]]
+    case '<=':
+      return given === 3 ? [['<=', floor]] : [['<', bump(given - 1)]]
+    case '<':
+      return [['<', floor]]
+    case '>=':
+      return [['>=', floor]]
+    default:
+      return given === 3 ? [['=', floor]] : [['>=', floor], ['<', bump(given - 1)]]
+  }
+}
+
+/**
+ * Parse a semver range into comparator sets.
+ * @returns {Array.<Array.<Comparator>>} The sets, any of which must be satisfied entirely.
+ * @param {string} range - The range, i.e. '^1.2.3 || >=2.5 <3'.
+ * @throws {SyntaxError} On invalid ranges.
+ * @private
+ */
+function parseRange (range) {
+  return range.split('||').map(set => {
+    const hyphen = set.trim().match(/^(\S+)\s+-\s+(\S+)$/)
+    if (hyphen != null) {
+      return desugar('>=', hyphen[1]).slice(0, 1).concat(desugar('<=', hyphen[2]))
+    }
+    const tokens = set.trim().replace(/(<=|>=|[<>=~^])\s+/g, '$1').split(/\s+/).filter(t => t)
+    return tokens.reduce((acc, token) => {
+      const [, op, partial] = token.match(/^(<=|>=|[<>=~^]?)(.*)$/)
+      return acc.concat(desugar(op, partial))
+    }, [])
+  })
+}
+
+/**
+ * Check whether a version satisfies all comparators of a set. Prerelease versions
+ * only do if a comparator has a prerelease of the same major, minor and patch.
+ * @returns {boolean} Whether the version satisfies the set.
+ * @param {SemVer} version - The version.
+ * @param {Array.<Comparator>} set - The comparator set.
+ * @private
+ */
+function satisfies (version, set) {
+  const ok = set.every(([op, bound]) => {
+    const cmp = compareVersions(version, bound)
+    return { '<': cmp < 0, '<=': cmp <= 0, '>': cmp > 0, '>=': cmp >= 0, '=': cmp === 0 }[op]
+  })
+  if (!ok || !version.prerelease.length) return ok
+  return set.some(([, bound]) => bound.prerelease.length && bound.prerelease[0] !== 0 &&
+    bound.release.every((num, idx) => num === version.release[idx]))
+}
+
+/**
+ * Resolve a version, range or dist-tag against NPM registry metadata.
+ * Ranges matching any version (i.e. '', '*' or 'x') resolve to the `latest` dist-tag.
+ * @returns {?string} The highest matching version, or null if there is none.
+ * @param {object} meta - The registry metadata (with `versions` and `dist-tags`).
+ * @param {string} range - The version, range or dist-tag.
+ * @throws {SyntaxError} On invalid ranges.
+ * @private
+ */
+function resolveVersion (meta, range) {
+  const tags = meta['dist-tags'] || {}
+  if (Object.prototype.hasOwnProperty.call(tags, range)) return tags[range]
+  if (meta.versions[range] != null) return range
+  if (/^\s*(?:[*xX](?:\.[*xX]){0,2})?\s*$/.test(range)) range = tags.latest || '*'
+  if (meta.versions[range] != null) return range
+
+  const sets = parseRange(range)
+  const candidates = Object.keys(meta.versions)
+    .map(str => ({ str: str, version: parseVersion(str) }))
+    .filter(({ version }) => version != null && sets.some(set => satisfies(version, set)))
+    .sort((a, b) => compareVersions(b.version, a.version))
+  return candidates.length ? candidates[0].str : null
 }
@@ -5,20 +5,39 @@
  * Helpers for x-callback operations inside Scriptable.
  * Source master repository on {@link https://github.com/kopischke/scriptable|GitHub}).
  * @author Martin Kopischke <martin@kopischke.net>
- * @version 1.2.1
+ * @version 1.6.0
  * @license MIT
  * @module
  */
+const {ByteSequence} = importModule('net.kopischke.bytes')
 
 /**
  * x-callback URL handling function.
  * @typedef {function} URLHandler
  * @param {?object} payload - Key / value pairs to return as URL parameters.
+ * @throws {RangeError} If the URL would exceed the maximum length.
  */
 
 /**
+ * Options for building outbound x-callback URLs.
+ * @typedef {object} URLOptions
+ * @property {string} [encoding='json'] - How payload values are encoded:
+ * - 'json': non-string values as JSON (`tags=["a","b"]`);
+ * - 'repeat': arrays as repeated keys (`tags=a&tags=b`), other values like 'json';
+ * - 'brackets': arrays and objects as bracketed keys (`tags[]=a&tags[]=b`, `user[name]=x`,
+ * with indexes for arrays of arrays or objects: `list[0][id]=1`);
+ * - 'base64url': the whole payload as JSON in one base64url encoded `payload` parameter.
+ * @property {number} [maxLength=Infinity] - The maximum URL length.
+ * @property {string} [overflow='error'] - What to do with URLs exceeding the maximum length:
+ * 'error' throws a RangeError, 'pasteboard' copies the payload as JSON to the pasteboard and
+ * sends a `payloadSource=pasteboard` parameter instead.
+ * @property {?string} [source] - The `x-source` parameter value; null leaves it out. Requests
+ * send 'Scriptable' by default, replies to a caller none.
  */
-module.exports.XCallbackResult = class XCallbackResult {
+
+/**
+ */
+const XCallbackResult = module.exports.XCallbackResult = class XCallbackResult {
   /**
    * Handle x-callback returns, with fallbacks where no callback URLs are provided.
    *
@@ -38,11 +57,12 @@ module.exports.XCallbackResult = class XCallbackResult {
    * @param {string} [parameters.x-success] - The x-success base URL.
    * @param {string} [parameters.x-cancel]  - The x-cancel base URL.
    * @param {string} [parameters.x-error]   - The x-error base URL.
+   * @param {URLOptions} [options] - How to build the callback URLs.
    * @property {URLHandler} successURL - The 'x-success' URL handler.
    * @property {URLHandler} cancelURL - The 'x-cancel' URL handler.
    * @property {URLHandler} errorURL - The 'x-error' URL handler.
    */
-  constructor (parameters) {
+  constructor (parameters, options) {
     /**
      * Get an URL building function accepting variable payloads.
      * @param   {?string} base - The base `x-(success|cancel|error)` callback URL.
@@ -50,21 +70,7 @@ module.exports.XCallbackResult = class XCallbackResult {
      * @private
      */
     const makeURLHandlerFor = base => {
-      return base == null ? null : payload => {
-        let url = base
-        if (payload != null) {
-          let parts = Object.keys(payload).reduce((acc, cur) => {
-            let val = payload[cur]
-            if (val != null) {
-              if (typeof val !== 'string') val = JSON.stringify(val)
-              acc.push(`${encodeURIComponent(cur)}=${encodeURIComponent(val)}`)
-            }
-            return acc
-          }, [])
-          if (parts.length > 0) url += `?${parts.join('&')}`
-        }
-        return url
-      }
+      return base == null ? null : payload => buildURL(base, payload, options)
     }
 
     this.successURL = makeURLHandlerFor(parameters['x-success'])
@@ -89,11 +95,17 @@ module.exports.XCallbackResult = class XCallbackResult {
 
   /**
    * x-cancel result action.
+   * @param {?object} payload - Key / value pairs to return as x-cancel URL parameters
+   * (may be left out: a string first argument is the message).
    * @param {?string} message - Message to log if XCallbackResult#cancelURL is null.
    */
-  cancel (message) {
+  cancel (payload, message) {
+    if (typeof payload === 'string' && message == null) {
+      message = payload
+      payload = null
+    }
     if (this.cancelURL != null) {
-      let url = this.cancelURL(null)
+      let url = this.cancelURL(payload)
       Safari.open(url)
     } else {
       let msg = message || 'x-callback: Operation canceled.'
@@ -103,15 +115,647 @@ module.exports.XCallbackResult = class XCallbackResult {
 
   /**
    * x-error result action.
-   * @param {Error} err - The error triggering the x-error handler.
+   * @param {Error} err - The error triggering the x-error handler; its `code`
+   * is returned as `errorCode` if it has one, else its `name`.
    * @throws The passed error if XCallbackResult#errorURL is null.
    */
   error (err) {
     if (this.errorURL != null) {
-      let url = this.errorURL({errorCode: err.name, errorMessage: err.message})
+      let code = err.code != null ? err.code : err.name
+      let url = this.errorURL({errorCode: code, errorMessage: err.message})
       Safari.open(url)
     } else {
       throw err
     }
   }
+
+  /**
+   * Parse inbound parameters, replying with x-error if they are invalid.
+   *
+   * @example
+   * const params = result.parse(URLScheme.allParameters(), {
+   *   count: {type: 'integer', default: 1},
+   *   tags: {type: 'array'}
+   * })
+   * if (params == null) return // x-error has been called
+   * @returns {?object} The parsed parameters, or null if they were invalid.
+   * @param {object} parameters - The URL parameters.
+   * @param {object.<string, ParameterSchema>} schema - The parameter schema.
+   * @throws {XCallbackParameterError} If the parameters are invalid and
+   * XCallbackResult#errorURL is null.
+   */
+  parse (parameters, schema) {
+    try {
+      return parseParameters(parameters, schema)
+    } catch (e) {
+      if (!(e instanceof XCallbackParameterError)) throw e
+      this.error(e)
+      return null
+    }
+  }
+}
+
+/**
+ * The declaration of an inbound URL parameter.
+ * @typedef {object} ParameterSchema
+ * @property {string} [type='string'] - One of 'string', 'number', 'integer',
+ * 'boolean' ('true', 'yes', 'on', '1' and their opposites), 'array' and 'object'
+ * (both JSON encoded, like outbound payload values) or 'json' (any JSON value).
+ * @property {boolean} [required=false] - Whether the parameter must be given.
+ * @property {*} [default] - The value to use if the parameter is not given.
+ * @property {Array} [enum] - The allowed values (after conversion).
+ * @property {boolean} [json=false] - Whether the value is JSON encoded, whatever its
+ * type; the decoded value must then have the type as is.
+ * @property {string} [description] - What the parameter is for (see {@link XCallbackRouter#help}).
+ */
+
+/**
+ * Error thrown for invalid inbound parameters. Its `code` is 'invalidParameters'
+ * and its message lists every invalid parameter, so it can be returned with x-error.
+ * @extends Error
+ */
+const XCallbackParameterError = module.exports.XCallbackParameterError = class XCallbackParameterError extends Error {
+  /**
+   * Creates a new XCallbackParameterError instance.
+   * @param {Array.<{name: string, message: string}>} fields - The invalid parameters.
+   * @property {string} code - The x-callback error code, 'invalidParameters'.
+   * @property {Array.<{name: string, message: string}>} fields - The invalid parameters
+   * and what is wrong with them.
+   */
+  constructor (fields) {
+    let list = fields.map(field => `${field.name} ${field.message}`).join('; ')
+    super(`Invalid parameters: ${list}.`)
+    this.name = 'XCallbackParameterError'
+    this.code = 'invalidParameters'
+    this.fields = fields
+  }
+}
+
+/**
+ * Convert inbound URL parameters to typed values according to a schema.
+ * Parameters the schema does not declare are kept as they are.
+ *
+ * @example
+ * const {parseParameters} = importModule('net.kopischke.x-callback')
+ * const params = parseParameters({count: '3', tags: '["a","b"]'}, {
+ *   count: {type: 'integer', required: true},
+ *   tags: {type: 'array', default: []},
+ *   mode: {enum: ['append', 'prepend'], default: 'append'}
+ * }) // {count: 3, tags: ['a', 'b'], mode: 'append'}
+ * @returns {object} The parsed parameters.
+ * @param {object} parameters - The URL parameters.
+ * @param {object.<string, ParameterSchema>} schema - The parameter schema.
+ * @throws {XCallbackParameterError} Listing all invalid parameters.
+ * @throws {TypeError} On schemas with an unknown type.
+ */
+const parseParameters = module.exports.parseParameters = (parameters, schema) => {
+  let parsed = Object.assign({}, parameters)
+  let fields = []
+  Object.keys(schema || {}).forEach(name => {
+    let spec = schema[name]
+    let type = spec.type || 'string'
+    if (!Object.prototype.hasOwnProperty.call(parameterTypes, type)) {
+      throw new TypeError(`Unknown type '${type}' for parameter '${name}'.`)
+    }
+    let value = parsed[name]
+    if (value == null) {
+      if (spec.default !== undefined) parsed[name] = spec.default
+      else if (spec.required === true) fields.push({name: name, message: 'is required'})
+      return
+    }
+    try {
+      if (spec.json === true && typeof value === 'string') value = JSON.parse(value)
+      value = parameterTypes[type](value, spec.json === true)
+    } catch (e) {
+      fields.push({name: name, message: `is not ${article(type)} ${type}`})
+      return
+    }
+    if (Array.isArray(spec.enum) && !spec.enum.some(allowed => JSON.stringify(allowed) === JSON.stringify(value))) {
+      let allowed = spec.enum.map(val => JSON.stringify(val)).join(', ')
+      fields.push({name: name, message: `must be one of ${allowed}`})
+      return
+    }
+    parsed[name] = value
+  })
+  if (fields.length > 0) throw new XCallbackParameterError(fields)
+  return parsed
+}
+
+/**
+ * Error rejecting an {@link XCallbackRequest} the target app cancelled (x-cancel).
+ * @extends Error
+ */
+const XCallbackCancelError = module.exports.XCallbackCancelError = class XCallbackCancelError extends Error {
+  /**
+   * Creates a new XCallbackCancelError instance.
+   * @param {string} [message] - The error message.
+   * @param {object} [parameters] - The parameters returned by the target app or,
+   * thrown from an {@link XCallbackRouter} action, the x-cancel payload.
+   * @property {object} parameters - The parameters returned by the target app, or
+   * the x-cancel payload.
+   */
+  constructor (message, parameters) {
+    super(message || 'x-callback: Operation canceled.')
+    this.name = 'XCallbackCancelError'
+    this.parameters = parameters || {}
+  }
+}
+
+/**
+ * Error rejecting an {@link XCallbackRequest} the target app failed (x-error).
+ * @extends Error
+ */
+const XCallbackError = module.exports.XCallbackError = class XCallbackError extends Error {
+  /**
+   * Creates a new XCallbackError instance.
+   * @param {string} [message] - The error message (the `errorMessage` parameter).
+   * @param {?string} [code] - The error code (the `errorCode` parameter).
+   * @param {object} [parameters] - The parameters returned by the target app.
+   * @property {?string} code - The error code, if the target app returned one.
+   * @property {object} parameters - The parameters returned by the target app.
+   */
+  constructor (message, code, parameters) {
+    super(message || 'x-callback: Operation failed.')
+    this.name = 'XCallbackError'
+    this.code = code != null ? `${code}` : null
+    this.parameters = parameters || {}
+  }
+}
+
+/**
+ */
+module.exports.XCallbackRequest = class XCallbackRequest {
+  /**
+   * Call another app’s x-callback-url action and wait for its result.
+   *
+   * The request is sent with Scriptable’s `CallbackURL`, which adds `x-success`,
+   * `x-error` and `x-cancel` URLs pointing back to Scriptable and waits for the
+   * target app to open one of them. Payload values are encoded like
+   * {@link XCallbackResult} does (non-strings as JSON by default); returned
+   * parameters holding JSON objects or arrays are parsed back.
+   *
+   * CallbackURL rejects on both x-error and x-cancel without saying which the
+   * target app called, so failures are {@link XCallbackError}s unless the
+   * rejection is a bare cancel message (e.g. 'Cancelled'), which gives an
+   * {@link XCallbackCancelError}. Code that must tell both apart reliably should
+   * not rely on the error type alone.
+   *
+   * @example
+   * const {XCallbackRequest} = importModule('net.kopischke.x-callback')
+   * const request = new XCallbackRequest('drafts://x-callback-url/create', {text: 'Hello'})
+   * try {
+   *   const result = await request.open()
+   *   console.log(result.uuid)
+   * } catch (e) {
+   *   if (e.name === 'XCallbackCancelError') console.log('Canceled.')
+   *   else throw e // XCallbackError with `code` and `parameters`
+   * }
+   * @param {string} baseURL - The x-callback-url action URL of the target app.
+   * @param {?object} [payload] - Key / value pairs to send as URL parameters.
+   * @param {URLOptions} [options] - How to build the URL; the 'pasteboard' overflow
+   * is not supported, as the target app would not know to read the pasteboard.
+   * @property {string} baseURL - The x-callback-url action URL of the target app.
+   * @property {object} payload - Key / value pairs to send as URL parameters.
+   * @property {URLOptions} options - How to build the URL.
+   */
+  constructor (baseURL, payload, options) {
+    this.baseURL = baseURL
+    this.payload = Object.assign({}, payload)
+    this.options = Object.assign({}, options, {overflow: 'error'})
+    if (this.options.source === undefined) this.options.source = 'Scriptable'
+  }
+
+  /**
+   * Add a parameter to the payload.
+   * @returns {XCallbackRequest} The request, for chaining.
+   * @param {string} name - The parameter name.
+   * @param {*} value - The parameter value.
+   */
+  addParameter (name, value) {
+    this.payload[name] = value
+    return this
+  }
+
+  /**
+   * The URL the request opens, including the callback URLs.
+   * @returns {string} The URL.
+   */
+  getURL () {
+    return this._callbackURL().getURL()
+  }
+
+  /**
+   * Open the target app and wait for its result.
+   * @returns {Promise<object>} The parameters the target app returned with x-success.
+   * @throws {XCallbackCancelError} If the target app calls x-cancel and this can
+   * be told from the rejection.
+   * @throws {XCallbackError} If the target app calls x-error (or x-cancel, where
+   * that cannot be told apart), or the call fails.
+   */
+  async open () {
+    let result
+    try {
+      result = await this._callbackURL().open()
+    } catch (e) {
+      throw failureFor(e)
+    }
+    return decodePayload(result)
+  }
+
+  /**
+   * Build the Scriptable CallbackURL for the request.
+   * @returns {CallbackURL} The callback URL.
+   * @private
+   */
+  _callbackURL () {
+    const callback = new CallbackURL(this.baseURL)
+    urlEntries(this.payload, this.options).forEach(([key, val]) => callback.addParameter(key, val))
+    let length = callback.getURL().length
+    let maxLength = this.options.maxLength != null ? this.options.maxLength : Infinity
+    if (length > maxLength) throw urlLengthError(length, maxLength)
+    return callback
+  }
+}
+
+/**
+ * An x-callback action handler.
+ * @typedef {function} ActionHandler
+ * @param {object} parameters - The URL parameters, without the `action` and `x-` ones.
+ * @param {object} context - The call context.
+ * @param {string} context.action - The action name.
+ * @param {XCallbackResult} context.result - The result handler used to reply.
+ * @returns {?object|Promise<?object>} The payload to return with x-success.
+ * @throws {XCallbackCancelError} To reply with x-cancel.
+ * @throws {Error} Any other error, to reply with x-error.
+ */
+
+/**
+ */
+module.exports.XCallbackRouter = class XCallbackRouter {
+  /**
+   * Dispatch x-callback calls of a script to action handlers, replying to the
+   * caller with the outcome.
+   *
+   * The action is the `action` URL parameter or, for URLs of the shape
+   * `scriptable:///run/<script>/<action>` or `<scheme>://x-callback-url/<action>`,
+   * the `<action>` path component. Parameters registered with a schema are parsed before the handler
+   * runs. Handlers returning (or resolving to) a payload reply with x-success,
+   * handlers throwing an {@link XCallbackCancelError} with x-cancel (and its
+   * `parameters` as payload) and handlers
+   * throwing anything else with x-error. A `help` action listing the registered
+   * actions is built in, and is also run when no action is given.
+   *
+   * @example
+   * const {XCallbackRouter, XCallbackCancelError} = importModule('net.kopischke.x-callback')
+   * const router = new XCallbackRouter()
+   * router.register('add', async params => {
+   *   if (!params.title) throw new XCallbackCancelError('Nothing to add.')
+   *   return {id: await addItem(params.title)}
+   * }, {description: 'Adds an item.', parameters: {title: 'The item title.'}})
+   * await router.run(URLScheme.allParameters())
+   * @param {object} [options] - Router options; {@link URLOptions} are used for replies.
+   * @param {string} [options.defaultAction='help'] - The action to run when none is given.
+   * @property {object.<string, object>} actions - The registered actions, by name, each with
+   * `handler`, `description` and `parameters`.
+   * @property {string} defaultAction - The action to run when none is given.
+   * @property {object} options - The router options.
+   */
+  constructor (options) {
+    const opts = options || {}
+    this.options = opts
+    this.actions = {}
+    this.defaultAction = opts.defaultAction || 'help'
+    this.register('help', () => this.help(), {description: 'Lists the available actions.'})
+  }
+
+  /**
+   * Register an action handler.
+   * @returns {XCallbackRouter} The router, for chaining.
+   * @param {string} name - The action name.
+   * @param {ActionHandler} handler - The action handler.
+   * @param {object} [info] - Documentation for the `help` action.
+   * @param {string} [info.description] - What the action does.
+   * @param {object.<string, string|ParameterSchema>} [info.parameters] - The parameters
+   * the action uses, with their descriptions or schemas; parameters with schemas
+   * are parsed (see {@link parseParameters}) before the handler gets them, and
+   * invalid ones reply with x-error.
+   */
+  register (name, handler, info) {
+    if (typeof handler !== 'function') throw new TypeError(`Handler for action '${name}' is not a function.`)
+    const opts = info || {}
+    this.actions[name] = {
+      handler: handler,
+      description: opts.description || '',
+      parameters: Object.assign({}, opts.parameters)
+    }
+    return this
+  }
+
+  /**
+   * Get the `help` action payload.
+   * @returns {{actions: Array.<object>}} The registered actions, each with `name`,
+   * `description` and `parameters`.
+   */
+  help () {
+    let actions = Object.keys(this.actions).sort().map(name => {
+      let {description, parameters} = this.actions[name]
+      return {name: name, description: description, parameters: parameters}
+    })
+    return {actions: actions}
+  }
+
+  /**
+   * Run the action a call asks for and reply to the caller.
+   * @returns {Promise<?object>} The payload returned with x-success, if any.
+   * @param {object|string} call - The URL parameters (i.e. `URLScheme.allParameters()`),
+   * or the URL called.
+   * @throws The error thrown by the action if the caller gave no x-error URL.
+   */
+  async run (call) {
+    let {action, parameters} = parseCall(call)
+    let result = new XCallbackResult(parameters, this.options)
+    let name = action || this.defaultAction
+    try {
+      if (!Object.prototype.hasOwnProperty.call(this.actions, name)) {
+        let names = Object.keys(this.actions).sort().join(', ')
+        throw new ReferenceError(`x-callback: Unknown action '${name}' (available: ${names}).`)
+      }
+      let input = Object.keys(parameters).reduce((acc, cur) => {
+        if (cur !== 'action' && !cur.startsWith('x-')) acc[cur] = parameters[cur]
+        return acc
+      }, {})
+      let declared = this.actions[name].parameters
+      let schema = Object.keys(declared).reduce((acc, cur) => {
+        if (declared[cur] != null && typeof declared[cur] === 'object') acc[cur] = declared[cur]
+        return acc
+      }, {})
+      input = parseParameters(input, schema)
+      let payload = await this.actions[name].handler(input, {action: name, result: result})
+      result.success(payload, name === 'help' ? helpText(payload) : null)
+      return payload
+    } catch (e) {
+      if (e instanceof XCallbackCancelError) result.cancel(e.parameters, e.message)
+      else result.error(e)
+    }
+  }
+}
+
+/**
+ * Build an outbound URL with a payload.
+ * @param {string} base - The base URL.
+ * @param {?object} payload - Key / value pairs to add as URL parameters.
+ * @param {URLOptions} [options] - How to build the URL.
+ * @returns {string} The URL.
+ * @throws {RangeError} If the URL would exceed the maximum length.
+ * @private
+ */
+function buildURL (base, payload, options) {
+  let opts = options || {}
+  let maxLength = opts.maxLength != null ? opts.maxLength : Infinity
+  let url = withQuery(base, urlEntries(payload, opts))
+  if (url.length > maxLength && opts.overflow === 'pasteboard') {
+    Pasteboard.copy(JSON.stringify(payload))
+    url = withQuery(base, urlEntries({payloadSource: 'pasteboard'}, Object.assign({}, opts, {encoding: 'json'})))
+  }
+  if (url.length > maxLength) throw urlLengthError(url.length, maxLength)
+  return url
+}
+
+/**
+ * Get the error for an URL exceeding the maximum length.
+ * @param {number} length - The URL length.
+ * @param {number} maxLength - The maximum URL length.
+ * @returns {RangeError} The error.
+ * @private
+ */
+function urlLengthError (length, maxLength) {
+  return new RangeError(`x-callback: URL length of ${length} exceeds the maximum of ${maxLength}.`)
+}
+
+/**
+ * Add URL parameters to an URL.
+ * @param {string} base - The URL.
+ * @param {Array.<Array.<string>>} entries - The [key, value] pairs to add.
+ * @returns {string} The URL with the parameters.
+ * @private
+ */
+function withQuery (base, entries) {
+  let parts = entries.map(([key, val]) => `${encodeURIComponent(key)}=${encodeURIComponent(val)}`)
+  if (parts.length === 0) return base
+  return `${base}${base.includes('?') ? '&' : '?'}${parts.join('&')}`
+}
+
+/**
+ * Get the URL parameters for a payload, including `x-source` if a source is set.
+ * @param {?object} payload - Key / value pairs; null values are skipped.
+ * @param {URLOptions} [options] - The encoding and source options.
+ * @returns {Array.<Array.<string>>} The [key, value] pairs.
+ * @private
+ */
+function urlEntries (payload, options) {
+  let opts = options || {}
+  let entries = payloadEntries(payload, opts.encoding)
+  if (opts.source != null && !entries.some(([key]) => key === 'x-source')) entries.push(['x-source', opts.source])
+  return entries
+}
+
+/**
+ * Get the URL parameters for a payload.
+ * @param {?object} payload - Key / value pairs; null values are skipped.
+ * @param {string} [encoding='json'] - The payload encoding (see {@link URLOptions}).
+ * @returns {Array.<Array.<string>>} The [key, value] pairs.
+ * @throws {RangeError} On unknown encodings.
+ * @private
+ */
+function payloadEntries (payload, encoding) {
+  if (payload == null) return []
+  let keys = Object.keys(payload).filter(key => payload[key] != null)
+  switch (encoding || 'json') {
+    case 'json':
+      return keys.map(key => [key, payloadValue(payload[key])])
+    case 'repeat':
+      return keys.reduce((acc, cur) => {
+        let values = Array.isArray(payload[cur]) ? payload[cur] : [payload[cur]]
+        values.filter(val => val != null).forEach(val => acc.push([cur, payloadValue(val)]))
+        return acc
+      }, [])
+    case 'brackets':
+      return keys.reduce((acc, cur) => acc.concat(bracketEntries(cur, payload[cur])), [])
+    case 'base64url': {
+      if (keys.length === 0) return []
+      let json = JSON.stringify(keys.reduce((acc, cur) => Object.assign(acc, {[cur]: payload[cur]}), {}))
+      return [['payload', ByteSequence.fromUTF8String(json).toBase64URL()]]
+    }
+    default:
+      throw new RangeError(`x-callback: Unknown payload encoding '${encoding}'.`)
+  }
+}
+
+/**
+ * Encode a payload value as URL parameter value.
+ * @param {*} val - The value.
+ * @returns {string} Strings as they are, other values as JSON.
+ * @private
+ */
+function payloadValue (val) {
+  return typeof val === 'string' ? val : JSON.stringify(val)
+}
+
+/**
+ * Get the bracketed key URL parameters for a payload value.
+ * @param {string} key - The (possibly bracketed) key.
+ * @param {*} val - The value; null values are skipped.
+ * @returns {Array.<Array.<string>>} The [key, value] pairs.
+ * @private
+ */
+function bracketEntries (key, val) {
+  if (val == null) return []
+  if (Array.isArray(val)) {
+    let flat = val.every(item => item == null || typeof item !== 'object')
+    return val.reduce((acc, item, idx) => acc.concat(bracketEntries(flat ? `${key}[]` : `${key}[${idx}]`, item)), [])
+  }
+  if (typeof val === 'object' && !(val instanceof Date)) {
+    return Object.keys(val).reduce((acc, cur) => acc.concat(bracketEntries(`${key}[${cur}]`, val[cur])), [])
+  }
+  return [[key, payloadValue(val)]]
+}
+
+/**
+ * Decode URL parameters encoded like {@link payloadEntries} does with the 'json'
+ * encoding. Only JSON
+ * objects and arrays are parsed, as other values are ambiguous.
+ * @param {?object} parameters - The URL parameters.
+ * @returns {object} The payload.
+ * @private
+ */
+function decodePayload (parameters) {
+  return Object.keys(parameters || {}).reduce((acc, cur) => {
+    let val = parameters[cur]
+    if (typeof val === 'string' && /^\s*[[{]/.test(val)) {
+      try { val = JSON.parse(val) } catch (_) {}
+    }
+    acc[cur] = val
+    return acc
+  }, {})
+}
+
+/**
+ * Get the typed error for a failed CallbackURL call.
+ * CallbackURL does not tell x-error and x-cancel apart, so this only reports a
+ * cancel for a bare cancel message (e.g. 'Cancelled') and an error otherwise.
+ * @param {*} reason - The CallbackURL rejection: an error, a message or the
+ * x-error / x-cancel parameters.
+ * @returns {XCallbackCancelError|XCallbackError} The error.
+ * @private
+ */
+function failureFor (reason) {
+  if (reason instanceof XCallbackError || reason instanceof XCallbackCancelError) return reason
+  if (reason != null && typeof reason === 'object' && !(reason instanceof Error)) {
+    const parameters = decodePayload(reason)
+    return new XCallbackError(parameters.errorMessage, parameters.errorCode, parameters)
+  }
+  const message = reason instanceof Error ? reason.message : reason != null ? `${reason}` : null
+  return /^\s*(?:(?:user|operation)\s+)?cancel(?:l?ed)?\.?\s*$/i.test(message || '')
+    ? new XCallbackCancelError(message)
+    : new XCallbackError(message)
+}
+
+/**
+ * Get the action and parameters of a router call.
+ *
+ * The `action` URL parameter always wins. Otherwise, URLs name the action in the
+ * path component after the script name of `scriptable:///run/<script>/<action>`
+ * or after the host of `<scheme>://x-callback-url/<action>`; other URLs
+ * (e.g. `scriptable:///run/<script>` or `scriptable:///run?scriptName=<script>`)
+ * have no action.
+ * @param {object|string} call - The URL parameters, or the URL called.
+ * @returns {{action: ?string, parameters: object}} The action name (if any) and the parameters.
+ * @private
+ */
+function parseCall (call) {
+  if (typeof call !== 'string') {
+    let parameters = Object.assign({}, call)
+    return {action: parameters.action || null, parameters: parameters}
+  }
+  let [base, query] = call.split('#')[0].split('?')
+  let parameters = (query || '').split('&').filter(part => part !== '').reduce((acc, cur) => {
+    let [key, ...val] = cur.split('=')
+    acc[decodeURIComponent(key)] = decodeURIComponent(val.join('=').replace(/\+/g, ' '))
+    return acc
+  }, {})
+  let path = base.replace(/^[a-z][\w+.-]*:\/*/i, '').split('/').filter(part => part !== '')
+  let segment = path[0] === 'run' ? path[2] : path[0] === 'x-callback-url' ? path[1] : null
+  let action = parameters.action || (segment != null ? decodeURIComponent(segment) : null)
+  return {action: action, parameters: parameters}
+}
+
+/**
+ * Format the `help` action payload for the console.
+ * @param {{actions: Array.<object>}} payload - The help payload.
+ * @returns {string} The action list.
+ * @private
+ */
+function helpText (payload) {
+  return payload.actions.map(({name, description, parameters}) => {
+    let lines = [description ? `${name}: ${description}` : name]
+    Object.keys(parameters).forEach(key => {
+      let spec = parameters[key]
+      if (spec == null || typeof spec !== 'object') return lines.push(`  ${key}: ${spec}`)
+      let traits = [spec.type || 'string'].concat(spec.required === true ? ['required'] : [])
+      if (Array.isArray(spec.enum)) traits.push(`one of ${spec.enum.map(val => JSON.stringify(val)).join(', ')}`)
+      if (spec.default !== undefined) traits.push(`default ${JSON.stringify(spec.default)}`)
+      lines.push(`  ${key} (${traits.join(', ')})${spec.description ? `: ${spec.description}` : ''}`)
+    })
+    return lines.join('\n')
+  }).join('\n')
+}
+
+/**
+ * Converters from inbound parameter values to schema types, by type name.
+ * Each throws if the value cannot be converted.
+ * @private
+ */
+const parameterTypes = {
+  string: (value, decoded) => {
+    if (typeof value !== 'string') throw new TypeError()
+    return value
+  },
+  number: (value, decoded) => {
+    let number = decoded ? value : typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN
+    if (typeof number !== 'number' || !Number.isFinite(number)) throw new TypeError()
+    return number
+  },
+  integer: (value, decoded) => {
+    let number = parameterTypes.number(value, decoded)
+    if (!Number.isInteger(number)) throw new TypeError()
+    return number
+  },
+  boolean: (value, decoded) => {
+    if (typeof value === 'boolean') return value
+    let flag = decoded ? null : `${value}`.trim().toLowerCase()
+    if (['true', 'yes', 'on', '1'].includes(flag)) return true
+    if (['false', 'no', 'off', '0'].includes(flag)) return false
+    throw new TypeError()
+  },
+  array: (value, decoded) => {
+    let array = decoded ? value : JSON.parse(value)
+    if (!Array.isArray(array)) throw new TypeError()
+    return array
+  },
+  object: (value, decoded) => {
+    let object = decoded ? value : JSON.parse(value)
+    if (object == null || typeof object !== 'object' || Array.isArray(object)) throw new TypeError()
+    return object
+  },
+  json: (value, decoded) => decoded ? value : JSON.parse(value)
+}
+
+/**
+ * Get the indefinite article for a type name.
+ * @param {string} type - The type name.
+ * @returns {string} 'a' or 'an'.
+ * @private
+ */
+function article (type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a'
 }
@@ -0,0 +1,71 @@
+/**
+ * Checks for net.kopischke.bytes, runnable outside Scriptable with `node test/bytes.test.js`.
+ */
+const assert = require('assert')
+
+const { ByteReader, ByteSequence } = require('../net.kopischke.bytes.js')
+
+const ascii = str => ByteSequence.fromString(str, 'utf-8')
+const repeat = (byte, count) => new ByteSequence(count).fill(byte)
+const message448 = 'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'
+
+const checks = {
+  'sha1 matches the FIPS 180 examples': () => {
+    assert.strictEqual(ascii('abc').sha1().toHex(), 'a9993e364706816aba3e25717850c26c9cd0d89d')
+    assert.strictEqual(ascii('').sha1().toHex(), 'da39a3ee5e6b4b0d3255bfef95601890afd80709')
+    assert.strictEqual(ascii(message448).sha1().toHex(), '84983e441c3bd26ebaae4aa1f95129e5e54670f1')
+  },
+  'sha256 matches the FIPS 180 examples': () => {
+    assert.strictEqual(ascii('abc').sha256().toHex(), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+    assert.strictEqual(ascii('').sha256().toHex(), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+    assert.strictEqual(ascii(message448).sha256().toHex(), '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1')
+  },
+  'sha512 matches the FIPS 180 examples': () => {
+    assert.strictEqual(ascii('abc').sha512().toHex(), 'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a' +
+      '2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f')
+    assert.strictEqual(ascii('').sha512().toHex(), 'cf83e1357eefb8bdf1542850d66d8007d620e4050b5715dc83f4a921d36ce9ce' +
+      '47d0d13c5d85f2b0ff8318d2877eec2f63b931bd47417a81a538327af927da3e')
+    assert.strictEqual(ascii(message448).sha512().toHex(), '204a8fc6dda82f0a0ced7beb8e08a41657c16ef468b228a8279be331a703c335' +
+      '96fd15c13b1b07f9aa1d3bea57789ca031ad85c7a71dd70354ec631238ca3445')
+  },
+  'hmac with sha256 matches the RFC 4231 test cases': () => {
+    const cases = [
+      [repeat(0x0b, 20), ascii('Hi There'), 'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7'],
+      ['Jefe', ascii('what do ya want for nothing?'), '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'],
+      [repeat(0xaa, 20), repeat(0xdd, 50), '773ea91e36800e46854db8ebd09181a72959098b3ef8c122d9635514ced565fe'],
+      [ByteSequence.from(Array.from({ length: 25 }, (_, i) => i + 1)), repeat(0xcd, 50), '82558a389a443c0ea4cc819899f2083a85f0faa3e578f8077a2e3ff46729665b'],
+      [repeat(0xaa, 131), ascii('Test Using Larger Than Block-Size Key - Hash Key First'), '60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54'],
+      [repeat(0xaa, 131), ascii('This is a test using a larger than block-size key and a larger than block-size data. The key needs to be hashed before being used by the HMAC algorithm.'), '9b09ffa71b942fcb27635fbcd5b0e944bfdc63644f0713938a7f51535c3a35e2']
+    ]
+    cases.forEach(([key, data, mac]) => assert.strictEqual(data.hmac(key, 'sha256').toHex(), mac))
+  },
+  'crc32 matches the check value': () => {
+    assert.strictEqual(ascii('123456789').crc32().toHex(), 'cbf43926')
+  },
+  'readVarUint rejects overlong varints': () => {
+    assert.strictEqual(new ByteReader([0xe5, 0x8e, 0x26]).readVarUint(), 624485)
+    assert.strictEqual(new ByteReader([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x0f]).readVarUint(), Number.MAX_SAFE_INTEGER)
+    const reader = new ByteReader(new Array(64).fill(0x80).concat([0]))
+    assert.throws(() => reader.readVarUint(), RangeError)
+    assert.strictEqual(reader.position, 0)
+  },
+  'detectEncoding recognises BOM-less UTF-16 before UTF-8': () => {
+    const text = 'Hello world, this is text'
+    assert.strictEqual(ByteSequence.fromString(text, 'utf-16le').detectEncoding(), 'utf-16le')
+    assert.strictEqual(ByteSequence.fromString(text, 'utf-16be').detectEncoding(), 'utf-16be')
+    assert.strictEqual(ByteSequence.fromString(text, 'utf-8').detectEncoding(), 'utf-8')
+    assert.strictEqual(ByteSequence.fromString('Grüße', 'utf-8').detectEncoding(), 'utf-8')
+  }
+}
+
+let failed = 0
+Object.keys(checks).forEach(name => {
+  try {
+    checks[name]()
+    console.log(`ok - ${name}`)
+  } catch (e) {
+    failed++
+    console.log(`not ok - ${name}\n  ${e.message}`)
+  }
+})
+process.exitCode = failed > 0 ? 1 : 0
@@ -0,0 +1,54 @@
+/**
+ * Checks for net.kopischke.i18n, runnable outside Scriptable with `node test/i18n.test.js`.
+ */
+const assert = require('assert')
+
+global.Device = { language: () => 'en', preferredLanguages: () => ['en'] }
+const { Localization } = require('../net.kopischke.i18n.js')
+
+const checks = {
+  'plural variants replace # with the number': () => {
+    const l10n = new Localization({ en: { files: '{n, plural, one {# file} other {# files}}' } }, { locale: 'en' })
+    assert.strictEqual(l10n.string('files', { n: 1 }), '1 file')
+    assert.strictEqual(l10n.string('files', { n: 3 }), '3 files')
+  },
+  'the other variant replaces # for categories the template lacks': () => {
+    // Polish has `one`, `few` and `many`; this template has no `few` or `many`
+    const l10n = new Localization({ pl: { files: '{n, plural, one {# plik} other {# plików}}' } }, { locale: 'pl' })
+    assert.strictEqual(l10n.string('files', { n: 1 }), '1 plik')
+    assert.strictEqual(l10n.string('files', { n: 2 }), '2 plików')
+    assert.strictEqual(l10n.string('files', { n: 5 }), '5 plików')
+  },
+  'number formatters ignore invalid digit arguments': () => {
+    const l10n = new Localization({ en: { n: '%{x|number:abc}', m: '%{x|number:1}', p: '%{x|percent:-2}' } }, { locale: 'en' })
+    assert.strictEqual(l10n.string('n', { x: 1234.5 }), (1234.5).toLocaleString('en'))
+    assert.strictEqual(l10n.string('m', { x: 2 }), '2.0')
+    assert.strictEqual(l10n.string('p', { x: 0.256 }), '26%')
+  },
+  'validate reads placeholder names like string does': () => {
+    const piped = Localization.validate({ en: { a: '%{n} items' }, de: { a: '%{n|number} Dinge' } })
+    assert.deepStrictEqual(piped.placeholders, [])
+    const escaped = Localization.validate({ en: { a: '%{n} items' }, de: { a: '%{n} Dinge %%{x}' } })
+    assert.deepStrictEqual(escaped.placeholders, [])
+    const defaulted = Localization.validate({ en: { a: '%{n:none|number} items' }, de: { a: '%{m} Dinge' } })
+    assert.deepStrictEqual(defaulted.placeholders, [{ key: 'a', language: 'de', missing: ['n'], extra: ['m'] }])
+  },
+  'nested plurals replace # with their own number': () => {
+    const template = '{n, plural, =0 {none} other {# of {m, plural, one {# item} other {# items}}}}'
+    const l10n = new Localization({ en: { items: template } }, { locale: 'en' })
+    assert.strictEqual(l10n.string('items', { n: 0, m: 1 }), 'none')
+    assert.strictEqual(l10n.string('items', { n: 3, m: 4 }), '3 of 4 items')
+  }
+}
+
+let failed = 0
+Object.keys(checks).forEach(name => {
+  try {
+    checks[name]()
+    console.log(`ok - ${name}`)
+  } catch (e) {
+    failed++
+    console.log(`not ok - ${name}\n  ${e.message}`)
+  }
+})
+process.exitCode = failed > 0 ? 1 : 0
@@ -0,0 +1,189 @@
+/**
+ * Checks for net.kopischke.unpkg, runnable outside Scriptable with `node test/unpkg.test.js`.
+ * Scriptable’s FileManager and Data are stood in for by an in memory file system,
+ * its Request by canned `responses`.
+ */
+const assert = require('assert')
+const crypto = require('crypto')
+const zlib = require('zlib')
+
+const files = new Map()
+const normalize = path => path.replace(/\/+/g, '/').replace(/\/$/, '')
+global.Data = class Data {
+  constructor (buffer) { this.buffer = buffer }
+  static fromBase64String (str) { return new Data(Buffer.from(str, 'base64')) }
+  toBase64String () { return this.buffer.toString('base64') }
+}
+const fm = {
+  documentsDirectory: () => '/docs',
+  joinPath: (path, component) => normalize(`${path}/${component}`),
+  fileExists: path => [...files.keys()].some(key => key === normalize(path) || key.startsWith(`${normalize(path)}/`)),
+  isDirectory: path => [...files.keys()].some(key => key.startsWith(`${normalize(path)}/`)),
+  createDirectory: () => {},
+  listContents: path => [...new Set([...files.keys()]
+    .filter(key => key.startsWith(`${normalize(path)}/`))
+    .map(key => key.slice(normalize(path).length + 1).split('/')[0]))],
+  readString: path => files.get(normalize(path)).toString('utf8'),
+  writeString: (path, str) => files.set(normalize(path), Buffer.from(str)),
+  read: path => new Data(files.get(normalize(path))),
+  write: (path, data) => files.set(normalize(path), data.buffer),
+  remove: path => [...files.keys()].filter(key => key === normalize(path) || key.startsWith(`${normalize(path)}/`))
+    .forEach(key => files.delete(key)),
+  isFileStoredIniCloud: () => false,
+  isFileDownloaded: () => true
+}
+global.FileManager = { iCloud: () => fm, local: () => fm }
+global.importModule = name => require(`../${name}.js`)
+
+const { ByteSequence } = require('../net.kopischke.bytes.js')
+const { NpmRegistry, Registry, dependencyGraph } = require('../net.kopischke.unpkg.js')
+
+const responses = {}
+global.Request = class Request {
+  constructor (url) { this.url = url }
+  async _respond () {
+    this.response = { statusCode: responses[this.url] != null ? 200 : 404, url: this.url }
+    return responses[this.url]
+  }
+
+  async load () { return new Data(await this._respond()) }
+  async loadJSON () { return this._respond() }
+}
+
+/**
+ * Build a gzipped tarball of files, packed in a `package/` directory like `npm pack` does.
+ * @returns {Buffer} The tarball.
+ * @param {object.<string, string>} contents - The file contents, keyed by path.
+ */
+function tarball (contents) {
+  const blocks = Object.keys(contents).map(path => {
+    const data = Buffer.from(contents[path])
+    const header = Buffer.alloc(512)
+    header.write(`package/${path}`, 0)
+    header.write('0000644\0', 100)
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124)
+    header.write('0', 156)
+    header.write('ustar\0', 257)
+    header.write('00', 263)
+    header.fill(' ', 148, 156)
+    const sum = header.reduce((acc, byte) => acc + byte, 0)
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148)
+    return Buffer.concat([header, data, Buffer.alloc((512 - data.length % 512) % 512)])
+  })
+  return zlib.gzipSync(Buffer.concat(blocks.concat([Buffer.alloc(1024)])))
+}
+
+/**
+ * An in memory registry, recording what it is asked for.
+ */
+class MemoryRegistry extends Registry {
+  constructor (packages) {
+    super()
+    this.packages = packages
+    this.asked = []
+  }
+
+  async metadata (name) {
+    this.asked.push(`metadata ${name}`)
+    if (this.packages[name] == null) throw new Error(`${name} is not registered.`)
+    const versions = {}
+    Object.keys(this.packages[name]).forEach(version => {
+      versions[version] = { name: name, version: version, main: 'index.js' }
+    })
+    return { name: name, versions: versions, 'dist-tags': { latest: Object.keys(versions).pop() } }
+  }
+
+  async files (name, version) {
+    this.asked.push(`files ${name}@${version}`)
+    return Object.keys(this.packages[name][version])
+  }
+
+  async file (name, version, file) {
+    this.asked.push(`file ${name}@${version}/${file}`)
+    const source = this.packages[name][version][file]
+    if (source == null) throw new Error(`${name}@${version} has no file '${file}'.`)
+    return { bytes: ByteSequence.fromUTF8String(source), url: `memory:${name}@${version}/${file}` }
+  }
+}
+
+const checks = {
+  'require calls in comments and strings are no dependencies': async () => {
+    const registry = new MemoryRegistry({
+      a: {
+        '1.0.0': {
+          'index.js': [
+            "// const e = require('e')",
+            "/* require('f') */",
+            "const text = \"require('g')\"",
+            "const template = `require('h')`",
+            "module.exports = require('./b') + require(`./c`)"
+          ].join('\n'),
+          'b.js': "module.exports = 'b'",
+          'c.js': "module.exports = 'c'"
+        }
+      }
+    })
+    const graph = await dependencyGraph('a', { registries: [registry] })
+    assert.deepStrictEqual(Object.keys(graph.modules).sort(), ['a@1.0.0/b.js', 'a@1.0.0/c.js', 'a@1.0.0/index.js'])
+    assert.deepStrictEqual(Object.keys(graph.modules['a@1.0.0/index.js'].requires).sort(), ['./b', './c'])
+    assert.deepStrictEqual(registry.asked.filter(what => what.startsWith('metadata')), ['metadata a'])
+  },
+  'file listings expire with the ttl and refresh on update': async () => {
+    const registry = new MemoryRegistry({ a: { '1.0.0': { 'index.js': "module.exports = require('./extra')" } } })
+    const listings = () => registry.asked.filter(what => what.startsWith('files')).length
+    const requires = async options => {
+      const graph = await dependencyGraph('a', Object.assign({ registries: [registry] }, options))
+      return graph.modules['a@1.0.0/index.js'].requires['./extra']
+    }
+
+    assert.strictEqual(await requires(), null)
+    registry.packages.a['1.0.0']['extra.js'] = "module.exports = 'extra'"
+    assert.strictEqual(await requires(), null)
+    assert.strictEqual(listings(), 1)
+    assert.strictEqual(await requires({ update: true }), 'a@1.0.0/extra.js')
+    assert.strictEqual(listings(), 2)
+
+    files.delete('/docs/modules/a@1.0.0/extra.js')
+    await requires({ ttl: 60000 })
+    assert.strictEqual(listings(), 2)
+    const listingPath = '/docs/modules/a@1.0.0/.unpkg-files.json'
+    const listing = JSON.parse(files.get(listingPath).toString('utf8'))
+    listing.fetchedAt = new Date(Date.now() - 120000).toISOString()
+    files.set(listingPath, Buffer.from(JSON.stringify(listing)))
+    files.delete('/docs/modules/a@1.0.0/extra.js')
+    await requires({ ttl: 60000 })
+    assert.strictEqual(listings(), 3)
+  },
+  'npm tarballs must match the registry integrity': async () => {
+    const tgz = tarball({ 'package.json': '{"name":"p","version":"1.0.0"}', 'index.js': 'module.exports = 1' })
+    const url = 'https://registry.test/p/-/p-1.0.0.tgz'
+    const sha512 = `sha512-${crypto.createHash('sha512').update(tgz).digest('base64')}`
+    const shasum = crypto.createHash('sha1').update(tgz).digest('hex')
+    const withDist = dist => {
+      responses['https://registry.test/p'] = { name: 'p', versions: { '1.0.0': { dist: Object.assign({ tarball: url }, dist) } } }
+      return new NpmRegistry({ registry: 'https://registry.test' })
+    }
+    responses[url] = tgz
+
+    assert.deepStrictEqual((await withDist({ integrity: sha512, shasum: shasum }).files('p', '1.0.0')).sort(), ['index.js', 'package.json'])
+    assert.deepStrictEqual((await withDist({ shasum: shasum }).files('p', '1.0.0')).sort(), ['index.js', 'package.json'])
+    const corrupt = `sha512-${crypto.createHash('sha512').update('other').digest('base64')}`
+    await assert.rejects(withDist({ integrity: corrupt, shasum: shasum }).files('p', '1.0.0'), /does not match/)
+    await assert.rejects(withDist({ shasum: '0'.repeat(40) }).files('p', '1.0.0'), /does not match/)
+  }
+}
+
+;(async () => {
+  let failed = 0
+  for (const name of Object.keys(checks)) {
+    files.clear()
+    try {
+      await checks[name]()
+      console.log(`ok - ${name}`)
+    } catch (e) {
+      failed++
+      console.log(`not ok - ${name}\n  ${e.message}`)
+    }
+  }
+  process.exitCode = failed > 0 ? 1 : 0
+})()